@@ -0,0 +1,345 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseChannels } = require('./channels');
+const { logger } = require('./logger');
+
+// Scopes a key can hold; each scope includes the ones listed for it
+// admin: everything, broadcast: trigger and cancel broadcasts, read: status endpoints only,
+// subscribe: join the WebSocket broadcast audience
+const SCOPE_GRANTS = {
+  admin: ['admin', 'broadcast', 'read', 'subscribe'],
+  broadcast: ['broadcast', 'read'],
+  read: ['read'],
+  subscribe: ['subscribe']
+};
+const API_KEY_SCOPES = Object.keys(SCOPE_GRANTS);
+
+// How long lastUsedAt updates may sit in memory before being written
+const LAST_USED_SAVE_DELAY = 30000;
+
+// Invites expire after a week unless told otherwise
+const DEFAULT_INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Non-secret identifier derived from the key hash (matches ids already in audit logs)
+const getKeyId = (key) => hashKey(key).substring(0, 12);
+
+// API keys stored as SHA-256 hashes with labels, scopes and lifecycle dates
+// Records: { id, label, scopes, channels, hash, preview, createdAt, expiresAt, lastUsedAt, revokedAt, rotatedTo }
+// channels restricts a key to some broadcast channels (null = all channels)
+// Invites are single-use codes that are exchanged for a subscribe-scoped key
+// Invite records: { id, label, channels, hash, createdAt, expiresAt, createdBy, redeemedAt, keyId, revokedAt }
+class ApiKeyStore {
+  // storage is a storage backend (see storage.js); the store is kept in its "api-keys" document
+  constructor({ storage, legacyFilePath }) {
+    this.storage = storage;
+    this.legacyFilePath = legacyFilePath;
+    this.keys = new Map(); // Map of id -> record
+    this.invites = new Map(); // Map of id -> invite record
+    this.saveTimer = null;
+  }
+
+  // Load the store, migrating a legacy plain-text key file on first run
+  // Returns { loaded, migrated, generated } where generated is a new admin key (plaintext) or null
+  load() {
+    const stored = this.storage.read('api-keys');
+    if (stored) {
+      (stored.keys || []).forEach(record => this.keys.set(record.id, record));
+      (stored.invites || []).forEach(invite => this.invites.set(invite.id, invite));
+      return { loaded: this.keys.size, migrated: 0, generated: null };
+    }
+
+    if (this.legacyFilePath && fs.existsSync(this.legacyFilePath)) {
+      const legacyKeys = fs.readFileSync(this.legacyFilePath, 'utf8').split('\n')
+        .map(key => key.trim())
+        .filter(key => key.length > 0);
+      // Legacy keys could call every endpoint, so they keep full access
+      legacyKeys.forEach((key, index) => {
+        this.insert(key, { label: `Migrated key ${index + 1}`, scopes: ['admin'] });
+      });
+      this.save();
+      fs.renameSync(this.legacyFilePath, `${this.legacyFilePath}.migrated`);
+      return { loaded: this.keys.size, migrated: legacyKeys.length, generated: null };
+    }
+
+    const { key } = this.create({ label: 'Default admin key', scopes: ['admin'] });
+    return { loaded: this.keys.size, migrated: 0, generated: key };
+  }
+
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.storage.write('api-keys', {
+      keys: Array.from(this.keys.values()),
+      invites: Array.from(this.invites.values())
+    }, { secret: true });
+  }
+
+  // Batch lastUsedAt writes instead of saving on every request
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.save();
+      } catch (error) {
+        logger.error('Error saving API keys:', error.message);
+      }
+    }, LAST_USED_SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
+  // Write any batched lastUsedAt updates now (e.g. on shutdown)
+  flush() {
+    if (this.saveTimer) {
+      this.save();
+    }
+  }
+
+  insert(key, { label, scopes, expiresAt = null, channels = null }) {
+    const record = {
+      id: getKeyId(key),
+      label,
+      scopes,
+      channels,
+      hash: hashKey(key),
+      preview: `${key.substring(0, 4)}...${key.substring(key.length - 4)}`,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      lastUsedAt: null,
+      revokedAt: null,
+      rotatedTo: null
+    };
+    this.keys.set(record.id, record);
+    return record;
+  }
+
+  // Check label, scopes, expiry and channel restriction for a new key
+  // Returns { valid, message } or { valid, options }
+  static validateOptions({ label, scopes, expiresAt, channels }) {
+    if (typeof label !== 'string' || label.trim().length === 0 || label.length > 100) {
+      return { valid: false, message: 'label must be a non-empty string of at most 100 characters' };
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+      return { valid: false, message: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` };
+    }
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const date = new Date(expiresAt);
+      if (isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+        return { valid: false, message: 'expiresAt must be a future ISO 8601 timestamp' };
+      }
+      expiry = date.toISOString();
+    }
+    const channelResult = parseChannels(channels, null);
+    if (!channelResult.valid) {
+      return { valid: false, message: channelResult.message };
+    }
+    return {
+      valid: true,
+      options: { label: label.trim(), scopes: Array.from(new Set(scopes)), expiresAt: expiry, channels: channelResult.channels }
+    };
+  }
+
+  // Whether a key (or invite) may use a broadcast channel
+  static allowsChannel(record, channel) {
+    return !record.channels || record.channels.includes(channel);
+  }
+
+  // Create a key; the plaintext is only ever returned here
+  // Returns { key, record }
+  create(options) {
+    const key = crypto.randomBytes(32).toString('hex');
+    const record = this.insert(key, options);
+    this.save();
+    return { key, record };
+  }
+
+  // Revoke a key immediately, returns the record or null when unknown
+  revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) {
+      return null;
+    }
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.save();
+    }
+    return record;
+  }
+
+  // Replace a key with a new one carrying the same label and scopes
+  // The old key stays valid for graceMs (0 revokes it immediately); expiresAt applies to the new key
+  // Returns { key, record, previous } or null when the key is unknown or already revoked
+  rotate(id, { graceMs = 0, expiresAt = null } = {}) {
+    const previous = this.keys.get(id);
+    if (!previous || previous.revokedAt) {
+      return null;
+    }
+    const key = crypto.randomBytes(32).toString('hex');
+    const record = this.insert(key, {
+      label: previous.label,
+      scopes: previous.scopes,
+      channels: previous.channels,
+      expiresAt
+    });
+    previous.rotatedTo = record.id;
+    if (graceMs > 0) {
+      const graceEnd = new Date(Date.now() + graceMs);
+      if (!previous.expiresAt || new Date(previous.expiresAt) > graceEnd) {
+        previous.expiresAt = graceEnd.toISOString();
+      }
+    } else {
+      previous.revokedAt = new Date().toISOString();
+    }
+    this.save();
+    return { key, record, previous };
+  }
+
+  // Authenticate a presented key for a scope and mark it used
+  // Returns { valid: true, record } or { valid: false, reason } with reason missing, unknown, revoked, expired or scope
+  authenticate(key, scope) {
+    if (!key || typeof key !== 'string') {
+      return { valid: false, reason: 'missing' };
+    }
+    const record = this.keys.get(getKeyId(key));
+    const presented = Buffer.from(hashKey(key), 'hex');
+    if (!record || !crypto.timingSafeEqual(presented, Buffer.from(record.hash, 'hex'))) {
+      return { valid: false, reason: 'unknown' };
+    }
+    if (record.revokedAt) {
+      return { valid: false, reason: 'revoked' };
+    }
+    if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+      return { valid: false, reason: 'expired' };
+    }
+    if (scope && !record.scopes.some(held => SCOPE_GRANTS[held].includes(scope))) {
+      return { valid: false, reason: 'scope', record };
+    }
+
+    record.lastUsedAt = new Date().toISOString();
+    this.scheduleSave();
+    return { valid: true, record };
+  }
+
+  get(id) {
+    return this.keys.get(id) || null;
+  }
+
+  // Create a single-use invite; the code is only ever returned here
+  // Returns { code, invite }
+  createInvite({ label, expiresAt = null, createdBy = null, channels = null }) {
+    const code = crypto.randomBytes(24).toString('base64url');
+    const invite = {
+      id: getKeyId(code),
+      label,
+      channels,
+      hash: hashKey(code),
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt || new Date(Date.now() + DEFAULT_INVITE_TTL).toISOString(),
+      createdBy,
+      redeemedAt: null,
+      keyId: null,
+      revokedAt: null
+    };
+    this.invites.set(invite.id, invite);
+    this.save();
+    return { code, invite };
+  }
+
+  // Check an invite code without using it up
+  // Returns { valid: true, invite } or { valid: false, reason } with reason missing, unknown, used, revoked or expired
+  checkInvite(code) {
+    if (!code || typeof code !== 'string') {
+      return { valid: false, reason: 'missing' };
+    }
+    const invite = this.invites.get(getKeyId(code));
+    if (!invite || !crypto.timingSafeEqual(Buffer.from(hashKey(code), 'hex'), Buffer.from(invite.hash, 'hex'))) {
+      return { valid: false, reason: 'unknown' };
+    }
+    if (invite.redeemedAt) {
+      return { valid: false, reason: 'used' };
+    }
+    if (invite.revokedAt) {
+      return { valid: false, reason: 'revoked' };
+    }
+    if (new Date(invite.expiresAt) <= new Date()) {
+      return { valid: false, reason: 'expired' };
+    }
+    return { valid: true, invite };
+  }
+
+  // Exchange an invite for a new subscribe-scoped key
+  // Returns { valid: true, key, record, invite } or the checkInvite failure
+  redeemInvite(code) {
+    const checked = this.checkInvite(code);
+    if (!checked.valid) {
+      return checked;
+    }
+    const { invite } = checked;
+    const key = crypto.randomBytes(32).toString('hex');
+    const record = this.insert(key, { label: invite.label, scopes: ['subscribe'], channels: invite.channels || null });
+    invite.redeemedAt = new Date().toISOString();
+    invite.keyId = record.id;
+    this.save();
+    return { valid: true, key, record, invite };
+  }
+
+  // Withdraw an invite that has not been redeemed, returns the invite or null when unknown
+  revokeInvite(id) {
+    const invite = this.invites.get(id);
+    if (!invite) {
+      return null;
+    }
+    if (!invite.revokedAt && !invite.redeemedAt) {
+      invite.revokedAt = new Date().toISOString();
+      this.save();
+    }
+    return invite;
+  }
+
+  // Public view of an invite (never includes the hash)
+  static describeInvite(invite) {
+    const { hash, ...rest } = invite;
+    let status = 'pending';
+    if (invite.redeemedAt) {
+      status = 'redeemed';
+    } else if (invite.revokedAt) {
+      status = 'revoked';
+    } else if (new Date(invite.expiresAt) <= new Date()) {
+      status = 'expired';
+    }
+    return { ...rest, status };
+  }
+
+  listInvites() {
+    return Array.from(this.invites.values()).map(invite => ApiKeyStore.describeInvite(invite));
+  }
+
+  // Public view of a key (never includes the hash)
+  static describe(record) {
+    const { hash, ...rest } = record;
+    let status = 'active';
+    if (record.revokedAt) {
+      status = 'revoked';
+    } else if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+      status = 'expired';
+    }
+    return { ...rest, status };
+  }
+
+  list() {
+    return Array.from(this.keys.values()).map(record => ApiKeyStore.describe(record));
+  }
+}
+
+module.exports = {
+  ApiKeyStore,
+  API_KEY_SCOPES,
+  getKeyId
+};
@@ -0,0 +1,116 @@
+const { logger } = require('./logger');
+
+// Columns for CSV export, in order (nested values are flattened by toCsvRow)
+const CSV_COLUMNS = [
+  'id',
+  'timestamp',
+  'action',
+  'source',
+  'keyId',
+  'type',
+  'intensity',
+  'duration',
+  'pattern',
+  'subscribers',
+  'groups',
+  'delivered',
+  'failed',
+  'skipped',
+  'success',
+  'error',
+  'message'
+];
+
+// Quote a CSV field when it contains a delimiter, quote or newline
+// Strings that a spreadsheet would read as a formula get a leading ' so they open as text
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (entry) => {
+  const parameters = entry.parameters || {};
+  const delivery = (entry.outcome && entry.outcome.delivery) || {};
+  const row = {
+    ...entry,
+    type: parameters.type,
+    intensity: parameters.intensity,
+    duration: parameters.duration,
+    pattern: parameters.pattern,
+    subscribers: entry.recipients ? entry.recipients.subscribers : '',
+    groups: delivery.groups,
+    delivered: delivery.delivered,
+    failed: delivery.failed,
+    skipped: delivery.skipped,
+    success: entry.outcome ? entry.outcome.success : '',
+    error: entry.outcome ? entry.outcome.error : '',
+    message: entry.outcome ? entry.outcome.message : ''
+  };
+  return CSV_COLUMNS.map(column => escapeCsv(row[column])).join(',');
+};
+
+// Append-only audit log of device activations, kept in the storage backend's "audit" log
+class AuditLog {
+  constructor({ storage }) {
+    this.storage = storage;
+    this.nextId = 1;
+  }
+
+  // Continue numbering after the last stored entry, resolves with the number of entries
+  async load() {
+    let count = 0;
+    for await (const entry of this.storage.readLog('audit')) {
+      count++;
+      if (Number.isInteger(entry.id) && entry.id >= this.nextId) {
+        this.nextId = entry.id + 1;
+      }
+    }
+    return count;
+  }
+
+  // Append an entry: { action, source, keyId, parameters, recipients, outcome }
+  // Returns the stored entry with its id and timestamp
+  record(entry) {
+    const stored = {
+      id: this.nextId++,
+      timestamp: new Date().toISOString(),
+      ...entry
+    };
+    try {
+      this.storage.append('audit', stored);
+    } catch (error) {
+      logger.error(`❌ Failed to write audit log entry: ${error.message}`);
+    }
+    return stored;
+  }
+
+  // Read entries matching the filters, newest first
+  // filters: { from, to (Date), keyId, source, action, limit }
+  async query({ from, to, keyId, source, action, limit = 100 } = {}) {
+    const matches = [];
+    for await (const entry of this.storage.readLog('audit')) {
+      const at = new Date(entry.timestamp);
+      if ((from && at < from) || (to && at > to)) {
+        continue;
+      }
+      if ((keyId && entry.keyId !== keyId) || (source && entry.source !== source) || (action && entry.action !== action)) {
+        continue;
+      }
+      matches.push(entry);
+      // Only the newest `limit` entries are kept
+      if (matches.length > limit) {
+        matches.shift();
+      }
+    }
+    return matches.reverse();
+  }
+
+  static toCsv(entries) {
+    return [CSV_COLUMNS.join(','), ...entries.map(toCsvRow)].join('\n') + '\n';
+  }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,235 @@
+// Serialized broadcast queue
+// A device can be subscribed to several channels, so running jobs one at a time (and waiting out
+// each job's duration before starting the next) keeps commands from overlapping on any device.
+
+// Lower numbers run first
+const BROADCAST_PRIORITIES = {
+  manual: 0,
+  automatic: 1
+};
+
+class BroadcastQueue {
+  // run(job) performs the broadcast and resolves with its result
+  // maxDepth caps pending (not yet running) jobs
+  // coalesceWindowMs merges automatic jobs of the same source, type and channel that arrive this close together (0 = off)
+  constructor({ run, maxDepth = 20, coalesceWindowMs = 0 }) {
+    this.run = run;
+    this.maxDepth = maxDepth;
+    this.coalesceWindowMs = coalesceWindowMs;
+    this.pending = [];
+    this.running = null;
+    this.holdTimer = null;
+    this.releaseHold = null;
+    this.nextId = 1;
+  }
+
+  // Add a broadcast to the queue
+  // pattern ({ name, steps, totalDuration }) marks a multi-step job; run() is responsible for stepping through it
+  // channel is the broadcast channel the job targets; requestId ties the job's logs to the request that created it
+  // Returns { accepted: false, reason } or { accepted: true, job, coalesced, promise }
+  // A coalesced result also has addedDuration, how much longer the merged job got (0 when it was already as long)
+  enqueue({ intensity, duration, type, channel, priority = 'manual', source = 'api', keyId = null, pattern = null, requestId = null }, now = Date.now()) {
+    if (!Object.prototype.hasOwnProperty.call(BROADCAST_PRIORITIES, priority)) {
+      throw new Error(`Unknown broadcast priority "${priority}"`);
+    }
+
+    // Merge with a pending automatic job that arrived within the coalescing window (patterns never merge)
+    if (this.coalesceWindowMs > 0 && priority === 'automatic' && !pattern) {
+      const match = this.pending.find(job => (
+        !job.pattern &&
+        job.priority === priority &&
+        job.source === source &&
+        job.type === type &&
+        job.channel === channel &&
+        now - job.enqueuedAt <= this.coalesceWindowMs
+      ));
+      if (match) {
+        const previousDuration = match.duration;
+        match.intensity = Math.max(match.intensity, parseInt(intensity));
+        match.duration = Math.max(match.duration, parseInt(duration));
+        match.coalesced++;
+        return { accepted: true, job: match, coalesced: true, addedDuration: match.duration - previousDuration, promise: match.promise };
+      }
+    }
+
+    if (this.pending.length >= this.maxDepth) {
+      return { accepted: false, reason: `Broadcast queue is full (${this.maxDepth} pending)` };
+    }
+
+    const job = {
+      id: this.nextId++,
+      intensity: parseInt(intensity),
+      duration: parseInt(duration),
+      type,
+      channel,
+      priority,
+      source,
+      keyId,
+      pattern,
+      requestId,
+      enqueuedAt: now,
+      coalesced: 0,
+      cancelled: false,
+      currentStep: 0
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    // Insert after every job of the same or higher priority (FIFO within a priority level)
+    const index = this.pending.findIndex(pendingJob => BROADCAST_PRIORITIES[pendingJob.priority] > BROADCAST_PRIORITIES[priority]);
+    if (index === -1) {
+      this.pending.push(job);
+    } else {
+      this.pending.splice(index, 0, job);
+    }
+
+    this.process();
+    return { accepted: true, job, coalesced: false, promise: job.promise };
+  }
+
+  // Run pending jobs one after another
+  async process() {
+    if (this.running) {
+      return;
+    }
+
+    while (this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running = job;
+      job.startedAt = Date.now();
+
+      try {
+        job.resolve(await this.run(job));
+      } catch (error) {
+        job.reject(error);
+      }
+
+      // Devices are busy for the job's duration; hold the next job until they are free
+      if (!job.cancelled) {
+        await new Promise(resolve => {
+          this.holdTimer = setTimeout(resolve, job.duration);
+          this.releaseHold = resolve;
+        });
+      }
+      this.holdTimer = null;
+      this.releaseHold = null;
+      this.running = null;
+    }
+  }
+
+  // Wait inside run() (e.g. between pattern steps), resolving early if the job is cancelled
+  wait(job, ms) {
+    if (job.cancelled) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        job.wake = null;
+        resolve();
+      }, ms);
+      job.wake = () => {
+        clearTimeout(timer);
+        job.wake = null;
+        resolve();
+      };
+    });
+  }
+
+  // Stop waiting on the running job so the next one can start
+  releaseRunning() {
+    if (this.holdTimer) {
+      clearTimeout(this.holdTimer);
+      this.releaseHold();
+    }
+  }
+
+  // Find a pending or running job by id (or the running job when id is omitted), null when nothing matched
+  find(jobId) {
+    if (jobId === undefined || jobId === null) {
+      return this.running;
+    }
+    const id = parseInt(jobId);
+    if (this.running && this.running.id === id) {
+      return this.running;
+    }
+    return this.pending.find(job => job.id === id) || null;
+  }
+
+  // Cancel a job by id (or the running job when id is omitted)
+  // A pending job is removed and its promise rejects; a running job stops at its next step
+  // Returns 'pending', 'running' or null when nothing matched
+  cancel(jobId) {
+    if (jobId !== undefined && jobId !== null) {
+      const index = this.pending.findIndex(job => job.id === parseInt(jobId));
+      if (index !== -1) {
+        const [job] = this.pending.splice(index, 1);
+        const error = new Error(`Broadcast job #${job.id} cancelled`);
+        error.code = 'CANCELLED';
+        job.reject(error);
+        return 'pending';
+      }
+    }
+
+    const job = this.running;
+    if (!job || (jobId !== undefined && jobId !== null && job.id !== parseInt(jobId))) {
+      return null;
+    }
+    job.cancelled = true;
+    if (job.wake) {
+      job.wake();
+    }
+    this.releaseRunning();
+    return 'running';
+  }
+
+  // Drop every pending job (their promises reject with reason) and stop waiting on the running one
+  // Returns the number of pending jobs flushed
+  flush(reason) {
+    const flushed = this.pending.splice(0, this.pending.length);
+    flushed.forEach(job => {
+      const error = new Error(reason);
+      error.code = 'FLUSHED';
+      job.reject(error);
+    });
+    this.releaseRunning();
+    return flushed.length;
+  }
+
+  // Public view of a job (no internals or promise handles)
+  static describe(job) {
+    return {
+      id: job.id,
+      source: job.source,
+      requestId: job.requestId,
+      priority: job.priority,
+      type: job.type,
+      channel: job.channel,
+      intensity: job.intensity,
+      duration: job.duration,
+      coalesced: job.coalesced,
+      pattern: job.pattern ? {
+        name: job.pattern.name,
+        steps: job.pattern.steps.length,
+        currentStep: job.currentStep,
+        totalDuration: job.pattern.totalDuration
+      } : null,
+      cancelled: job.cancelled,
+      enqueuedAt: new Date(job.enqueuedAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null
+    };
+  }
+
+  getStatus() {
+    return {
+      running: this.running ? BroadcastQueue.describe(this.running) : null,
+      pending: this.pending.map(job => BroadcastQueue.describe(job)),
+      depth: this.pending.length,
+      maxDepth: this.maxDepth,
+      coalesceWindowMs: this.coalesceWindowMs
+    };
+  }
+}
+
+module.exports = { BroadcastQueue, BROADCAST_PRIORITIES };
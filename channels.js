@@ -0,0 +1,44 @@
+// Broadcast channels (rooms)
+// Subscribers join one or more channels; every broadcast targets exactly one
+
+const DEFAULT_CHANNEL = 'default';
+const CHANNEL_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+const MAX_CHANNELS = 20;
+
+const isValidChannel = (name) => typeof name === 'string' && CHANNEL_NAME_REGEX.test(name);
+
+// Parse a channel list (array or comma-separated string), names are case-insensitive
+// Returns { valid: true, channels } or { valid: false, message }; empty input yields fallback
+const parseChannels = (value, fallback = [DEFAULT_CHANNEL]) => {
+  if (value === undefined || value === null) {
+    return { valid: true, channels: fallback };
+  }
+  let names;
+  if (Array.isArray(value)) {
+    names = value.map(name => String(name).trim());
+  } else if (typeof value === 'string') {
+    names = value.split(',').map(name => name.trim());
+  } else {
+    return { valid: false, message: 'channels must be an array or comma-separated string' };
+  }
+  names = names.filter(name => name.length > 0);
+  if (names.length === 0) {
+    return { valid: true, channels: fallback };
+  }
+
+  const invalid = names.find(name => !isValidChannel(name));
+  if (invalid !== undefined) {
+    return { valid: false, message: `Invalid channel "${invalid}". Channel names are 1-32 letters, digits, "-" or "_"` };
+  }
+  const channels = Array.from(new Set(names.map(name => name.toLowerCase())));
+  if (channels.length > MAX_CHANNELS) {
+    return { valid: false, message: `At most ${MAX_CHANNELS} channels are allowed` };
+  }
+  return { valid: true, channels };
+};
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  isValidChannel,
+  parseChannels
+};
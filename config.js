@@ -0,0 +1,298 @@
+const fs = require('fs');
+const { isValidChannel } = require('./channels');
+const { AVAILABLE_DRIVERS } = require('./drivers');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HOSTNAME_REGEX = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Every setting, keyed by its path in the config file
+// type: integer, boolean, string, enum (values), list (comma-separated in env vars, arrays in the file)
+// env: environment variable that overrides the file; default: used when neither is set (may depend on env)
+// reload: false for settings that only apply at startup (listeners, file locations); SIGHUP reloads the rest
+// check(value): extra validation, returns an error message or null
+// secret: never printed
+const CONFIG_SCHEMA = {
+  'server.httpPort': { type: 'integer', min: 1, max: 65535, default: 80, env: 'HTTP_PORT', reload: false },
+  'server.httpsPort': { type: 'integer', min: 1, max: 65535, default: 443, env: 'HTTPS_PORT', reload: false },
+  'server.domain': {
+    type: 'string', default: 'localhost', env: 'DOMAIN', reload: false,
+    check: (value) => HOSTNAME_REGEX.test(value) ? null : 'must be a host name'
+  },
+
+  'acme.email': {
+    type: 'string', default: null, env: 'LE_EMAIL', reload: false,
+    check: (value) => EMAIL_REGEX.test(value) ? null : 'must be an email address'
+  },
+  'acme.domains': {
+    type: 'list', default: ['localhost'], env: 'DOMAINS', reload: false,
+    check: (value) => value.every(item => HOSTNAME_REGEX.test(item)) ? null : 'must be host names'
+  },
+  'acme.staging': { type: 'boolean', default: (env) => env.NODE_ENV !== 'production', env: 'LE_STAGING', reload: false },
+
+  'cors.origins': {
+    type: 'list', default: ['*'], env: 'CORS_ORIGINS',
+    check: (value) => value.every(item => item === '*' || isHttpUrl(item)) ? null : 'must be "*" or origins such as "https://example.com"'
+  },
+
+  'websocket.heartbeatIntervalMs': { type: 'integer', min: 1000, default: 30000, env: 'WS_HEARTBEAT_INTERVAL_MS' },
+  'websocket.heartbeatTimeoutMs': { type: 'integer', min: 1000, default: 10000, env: 'WS_HEARTBEAT_TIMEOUT_MS' },
+  'websocket.maxMessageBytes': { type: 'integer', min: 1024, default: 16384, env: 'WS_MAX_MESSAGE_BYTES', reload: false },
+  'websocket.messageRateLimit': { type: 'integer', min: 1, default: 30, env: 'WS_MESSAGE_RATE_LIMIT' },
+  'websocket.messageRateWindowMs': { type: 'integer', min: 100, default: 10000, env: 'WS_MESSAGE_RATE_WINDOW_MS' },
+
+  'rateLimits.globalCooldownMs': { type: 'integer', min: 0, default: 0, env: 'BROADCAST_GLOBAL_COOLDOWN_MS' },
+  'rateLimits.keyCooldownMs': { type: 'integer', min: 0, default: 0, env: 'BROADCAST_KEY_COOLDOWN_MS' },
+  'rateLimits.budgetWindowMs': { type: 'integer', min: 1000, default: 3600000, env: 'BROADCAST_BUDGET_WINDOW_MS' },
+  'rateLimits.globalBudgetMs': { type: 'integer', min: 0, default: 0, env: 'BROADCAST_GLOBAL_BUDGET_MS' },
+  'rateLimits.keyBudgetMs': { type: 'integer', min: 0, default: 0, env: 'BROADCAST_KEY_BUDGET_MS' },
+
+  'queue.maxDepth': { type: 'integer', min: 1, max: 1000, default: 20, env: 'BROADCAST_QUEUE_MAX_DEPTH' },
+  'queue.coalesceWindowMs': { type: 'integer', min: 0, default: 0, env: 'BROADCAST_COALESCE_WINDOW_MS' },
+
+  'subscribers.resumeGraceMs': { type: 'integer', min: 0, default: 120000, env: 'SUBSCRIBER_RESUME_GRACE_MS' },
+
+  'logging.level': { type: 'enum', values: LOG_LEVELS, default: 'info', env: 'LOG_LEVEL' },
+  'logging.format': { type: 'enum', values: LOG_FORMATS, default: 'text', env: 'LOG_FORMAT' },
+
+  'storage.dir': { type: 'string', default: '.', env: 'STORAGE_DIR', reload: false },
+
+  'audit.file': { type: 'string', default: 'audit.log', env: 'AUDIT_LOG_FILE', reload: false },
+
+  'drivers.enabled': {
+    type: 'list', values: AVAILABLE_DRIVERS, default: ['openshock', 'simulator'], env: 'DEVICE_DRIVERS', reload: false,
+    check: (value) => value.length > 0 ? null : 'must enable at least one driver'
+  },
+  'drivers.httpAllowedHosts': { type: 'list', default: [], env: 'HTTP_DRIVER_ALLOWED_HOSTS' },
+
+  'openshock.apiUrl': {
+    type: 'string', default: 'https://api.openshock.app', env: 'OPENSHOCK_API_URL',
+    check: (value) => isHttpUrl(value) ? null : 'must be an http(s) URL'
+  },
+  'openshock.apiVersion': { type: 'enum', values: [1, 2], default: 2, env: 'OPENSHOCK_API_VERSION' },
+  'openshock.customName': { type: 'string', default: null, env: 'OPENSHOCK_CUSTOM_NAME' },
+  'openshock.allowedHosts': { type: 'list', default: [], env: 'OPENSHOCK_ALLOWED_HOSTS' },
+
+  'youtube.apiKey': { type: 'string', default: null, env: 'YOUTUBE_API_KEY', reload: false, secret: true },
+  'youtube.channelId': { type: 'string', default: null, env: 'YOUTUBE_CHANNEL_ID', reload: false },
+  'youtube.pollIntervalSeconds': { type: 'integer', min: 10, default: 20, env: 'YOUTUBE_POLL_INTERVAL_SECONDS', reload: false },
+  'youtube.channelsFile': { type: 'string', default: 'youtube-channels.json', env: 'YOUTUBE_CHANNELS_FILE', reload: false },
+  'youtube.dailyQuota': { type: 'integer', min: 1, default: 10000, env: 'YOUTUBE_DAILY_QUOTA' },
+  'youtube.maxBackoffMs': { type: 'integer', min: 1000, default: 3600000, env: 'YOUTUBE_MAX_BACKOFF_MS' },
+  'youtube.apiBaseUrl': {
+    type: 'string', default: 'https://www.googleapis.com/youtube/v3', env: 'YOUTUBE_API_BASE_URL',
+    check: (value) => isHttpUrl(value) ? null : 'must be an http(s) URL'
+  },
+  // Only read when rules.json is created (see the rule migration in the README)
+  'youtube.broadcastOnChange': { type: 'boolean', default: false, env: 'YOUTUBE_BROADCAST_ON_CHANGE', reload: false },
+  'youtube.broadcastType': { type: 'enum', values: ['shock', 'vibrate'], default: 'vibrate', env: 'YOUTUBE_BROADCAST_TYPE', reload: false },
+  'youtube.broadcastIntensity': { type: 'integer', min: 1, max: 100, default: 50, env: 'YOUTUBE_BROADCAST_INTENSITY', reload: false },
+  'youtube.broadcastDuration': { type: 'integer', min: 300, max: 30000, default: 1000, env: 'YOUTUBE_BROADCAST_DURATION', reload: false },
+  'youtube.targetChannel': {
+    type: 'string', default: 'default', env: 'YOUTUBE_TARGET_CHANNEL', reload: false,
+    check: (value) => isValidChannel(value) ? null : 'must be 1-32 letters, digits, "-" or "_"'
+  },
+
+  'twitch.eventSubSecret': { type: 'string', minLength: 10, maxLength: 100, default: null, env: 'TWITCH_EVENTSUB_SECRET', secret: true },
+  'twitch.broadcasterUserId': { type: 'string', default: null, env: 'TWITCH_BROADCASTER_USER_ID' },
+
+  'health.openshockProbeIntervalSeconds': { type: 'integer', min: 10, max: 3600, default: 60, env: 'HEALTH_OPENSHOCK_PROBE_INTERVAL_SECONDS' },
+  'health.certificateWarningDays': { type: 'integer', min: 1, max: 90, default: 14, env: 'HEALTH_CERTIFICATE_WARNING_DAYS' },
+
+  'metrics.token': { type: 'string', minLength: 16, maxLength: 256, default: null, env: 'METRICS_TOKEN', secret: true },
+
+  'outboundWebhooks.maxAttempts': { type: 'integer', min: 1, max: 20, default: 6, env: 'OUTBOUND_WEBHOOK_MAX_ATTEMPTS' },
+  'outboundWebhooks.retryBaseMs': { type: 'integer', min: 100, default: 1000, env: 'OUTBOUND_WEBHOOK_RETRY_BASE_MS' },
+  'outboundWebhooks.retryMaxMs': { type: 'integer', min: 1000, default: 300000, env: 'OUTBOUND_WEBHOOK_RETRY_MAX_MS' },
+  'outboundWebhooks.timeoutMs': { type: 'integer', min: 1000, max: 120000, default: 10000, env: 'OUTBOUND_WEBHOOK_TIMEOUT_MS' }
+};
+
+// Convert an environment variable string to the setting's type, returns { value } or { error }
+const fromEnv = (setting, raw) => {
+  switch (setting.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw.trim()) ? { value: parseInt(raw) } : { error: 'must be an integer' };
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(raw.trim().toLowerCase())) {
+        return { value: true };
+      }
+      if (['false', '0', 'no'].includes(raw.trim().toLowerCase())) {
+        return { value: false };
+      }
+      return { error: 'must be true or false' };
+    case 'enum': {
+      const value = setting.values.find(item => String(item) === raw.trim());
+      return value === undefined ? { error: `must be one of: ${setting.values.join(', ')}` } : { value };
+    }
+    case 'list':
+      return { value: raw.split(',').map(item => item.trim()).filter(item => item.length > 0) };
+    default:
+      return { value: raw };
+  }
+};
+
+// Check a value (from the file or converted from env) against its setting, returns an error message or null
+const checkValue = (setting, value) => {
+  if (value === null) {
+    return null;
+  }
+  switch (setting.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return 'must be an integer';
+      }
+      if ((setting.min !== undefined && value < setting.min) || (setting.max !== undefined && value > setting.max)) {
+        return setting.max !== undefined
+          ? `must be between ${setting.min} and ${setting.max}`
+          : `must be at least ${setting.min}`;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return 'must be true or false';
+      }
+      break;
+    case 'enum':
+      if (!setting.values.includes(value)) {
+        return `must be one of: ${setting.values.join(', ')}`;
+      }
+      break;
+    case 'list':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        return 'must be a list of strings';
+      }
+      if (setting.values) {
+        const unknown = value.filter(item => !setting.values.includes(item));
+        if (unknown.length > 0) {
+          return `has unknown value(s) ${unknown.join(', ')} (valid: ${setting.values.join(', ')})`;
+        }
+      }
+      break;
+    default:
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      if ((setting.minLength && value.length < setting.minLength) || (setting.maxLength && value.length > setting.maxLength)) {
+        return `must be ${setting.minLength || 0}-${setting.maxLength} characters`;
+      }
+  }
+  return setting.check ? setting.check(value) : null;
+};
+
+const getPath = (object, settingPath) => settingPath.split('.')
+  .reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), object);
+
+const setPath = (object, settingPath, value) => {
+  const keys = settingPath.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((parent, key) => {
+    parent[key] = parent[key] || {};
+    return parent[key];
+  }, object);
+  target[last] = value;
+};
+
+// Read the config file (when it exists) and apply environment overrides
+// Returns { valid: true, config, sources } or { valid: false, errors } with one message per problem
+// sources maps each setting path to 'env', 'file' or 'default'
+const loadConfig = ({ filePath, env = process.env }) => {
+  const errors = [];
+  let file = {};
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return { valid: false, errors: [`${filePath}: ${error.message}`] };
+    }
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+      return { valid: false, errors: [`${filePath}: must contain a JSON object`] };
+    }
+  }
+
+  // Catch typos: every key in the file must be a known section and setting
+  Object.keys(file).forEach(section => {
+    const value = file[section];
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${section}: must be an object`);
+      return;
+    }
+    Object.keys(value).forEach(key => {
+      if (!CONFIG_SCHEMA[`${section}.${key}`]) {
+        errors.push(`${section}.${key}: unknown setting`);
+      }
+    });
+  });
+
+  const config = {};
+  const sources = {};
+  Object.keys(CONFIG_SCHEMA).forEach(settingPath => {
+    const setting = CONFIG_SCHEMA[settingPath];
+    let value;
+    let source;
+    let label = settingPath;
+    if (setting.env && env[setting.env] !== undefined && env[setting.env] !== '') {
+      const converted = fromEnv(setting, env[setting.env]);
+      label = `${settingPath} (${setting.env})`;
+      if (converted.error) {
+        errors.push(`${label}: ${converted.error}, got "${setting.secret ? '***' : env[setting.env]}"`);
+        return;
+      }
+      value = converted.value;
+      source = 'env';
+    } else if (getPath(file, settingPath) !== undefined) {
+      value = getPath(file, settingPath);
+      source = 'file';
+    } else {
+      value = typeof setting.default === 'function' ? setting.default(env) : setting.default;
+      source = 'default';
+    }
+
+    const error = checkValue(setting, value);
+    if (error) {
+      errors.push(`${label}: ${error}`);
+      return;
+    }
+    setPath(config, settingPath, value);
+    sources[settingPath] = source;
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+  return { valid: true, config, sources };
+};
+
+// Combine a reloaded config with the running one: settings marked reload: false keep their running value
+// Returns { config, changed, restartRequired } (setting paths that differ)
+const mergeReload = (current, next) => {
+  const config = JSON.parse(JSON.stringify(next));
+  const changed = [];
+  const restartRequired = [];
+  Object.keys(CONFIG_SCHEMA).forEach(settingPath => {
+    const before = getPath(current, settingPath);
+    if (JSON.stringify(before) === JSON.stringify(getPath(next, settingPath))) {
+      return;
+    }
+    if (CONFIG_SCHEMA[settingPath].reload === false) {
+      restartRequired.push(settingPath);
+      setPath(config, settingPath, before);
+    } else {
+      changed.push(settingPath);
+    }
+  });
+  return { config, changed, restartRequired };
+};
+
+module.exports = {
+  CONFIG_SCHEMA,
+  loadConfig,
+  mergeReload
+};
@@ -0,0 +1,145 @@
+const https = require('https');
+const http = require('http');
+
+// Send a JSON request and normalize the response into a driver result
+// Resolves { enabled: true, success, statusCode, data | error }; rejects on network errors
+const sendJsonRequest = (url, { method = 'POST', headers = {}, body, serviceName = 'device API', timeoutMs = 10000 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+
+    const options = {
+      hostname: target.hostname,
+      port: target.port || undefined,
+      path: `${target.pathname}${target.search}`,
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ShockerServer/1.0',
+        'Accept': 'application/json',
+        ...headers
+      }
+    };
+
+    const req = client.request(options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        try {
+          const contentType = res.headers['content-type'] || '';
+          const isJson = contentType.includes('application/json');
+
+          // Check if response is empty
+          if (!data || data.trim().length === 0) {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve({
+                enabled: true,
+                success: true,
+                statusCode: res.statusCode,
+                data: {}
+              });
+            } else {
+              resolve({
+                enabled: true,
+                success: false,
+                statusCode: res.statusCode,
+                error: { message: `Empty response from ${serviceName}` }
+              });
+            }
+            return;
+          }
+
+          // Try to parse as JSON
+          let parsedData;
+          if (isJson) {
+            parsedData = JSON.parse(data);
+          } else {
+            // If not JSON, check if it looks like JSON anyway
+            const trimmedData = data.trim();
+            if (trimmedData.startsWith('{') || trimmedData.startsWith('[')) {
+              try {
+                parsedData = JSON.parse(data);
+              } catch (e) {
+                // Not valid JSON, treat as HTML/text error
+                const preview = data.length > 200 ? data.substring(0, 200) + '...' : data;
+                resolve({
+                  enabled: true,
+                  success: false,
+                  statusCode: res.statusCode,
+                  error: {
+                    message: `Non-JSON response from ${serviceName} (Status: ${res.statusCode})`,
+                    response: preview
+                  }
+                });
+                return;
+              }
+            } else if (res.statusCode >= 200 && res.statusCode < 300) {
+              // Plain-text success (common for simple device endpoints)
+              resolve({
+                enabled: true,
+                success: true,
+                statusCode: res.statusCode,
+                data: { response: data.length > 200 ? data.substring(0, 200) + '...' : data }
+              });
+              return;
+            } else {
+              // HTML or other non-JSON response
+              const preview = data.length > 200 ? data.substring(0, 200) + '...' : data;
+              const fullResponse = data.length > 1000 ? data.substring(0, 1000) + '...' : data;
+              resolve({
+                enabled: true,
+                success: false,
+                statusCode: res.statusCode,
+                error: {
+                  message: `Non-JSON response from ${serviceName} (Status: ${res.statusCode}, Content-Type: ${contentType})`,
+                  response: preview,
+                  fullResponse: fullResponse
+                }
+              });
+              return;
+            }
+          }
+
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({
+              enabled: true,
+              success: true,
+              statusCode: res.statusCode,
+              data: parsedData
+            });
+          } else {
+            resolve({
+              enabled: true,
+              success: false,
+              statusCode: res.statusCode,
+              error: parsedData || { message: 'Unknown error' }
+            });
+          }
+        } catch (error) {
+          const preview = data ? (data.length > 200 ? data.substring(0, 200) + '...' : data) : 'No data';
+          reject(new Error(`Failed to parse ${serviceName} response: ${error.message}. Response preview: ${preview}`));
+        }
+      });
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`Timed out after ${timeoutMs}ms`));
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`${serviceName} request failed: ${error.message}`));
+    });
+
+    if (payload !== null) {
+      req.write(payload);
+    }
+    req.end();
+  });
+};
+
+module.exports = { sendJsonRequest };
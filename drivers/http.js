@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { sendJsonRequest } = require('./http-request');
+const { logger } = require('../logger');
+
+// Payload sent when a subscriber does not provide a template
+const DEFAULT_TEMPLATE = {
+  action: '{{action}}',
+  type: '{{type}}',
+  intensity: '{{intensity}}',
+  duration: '{{duration}}',
+  shockers: '{{shockers}}'
+};
+
+// Render a payload template
+// A string that is exactly "{{name}}" becomes the raw value (keeping numbers and arrays typed),
+// any other string has its placeholders interpolated
+const renderTemplate = (template, values) => {
+  if (typeof template === 'string') {
+    const exact = template.match(/^\{\{(\w+)\}\}$/);
+    if (exact && Object.prototype.hasOwnProperty.call(values, exact[1])) {
+      return values[exact[1]];
+    }
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+      Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+    ));
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, values));
+  }
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    Object.keys(template).forEach(key => {
+      rendered[key] = renderTemplate(template[key], values);
+    });
+    return rendered;
+  }
+  return template;
+};
+
+// Generic HTTP driver: POSTs a templated JSON payload to a subscriber-provided URL
+// Subscribers may only point the driver at one of allowedHosts; with none configured every subscription is refused
+const createHttpDriver = ({ allowedHosts = [] } = {}) => {
+  if (allowedHosts.length === 0) {
+    logger.warn('⚠️ HTTP driver is enabled but HTTP_DRIVER_ALLOWED_HOSTS is empty; http subscriptions will be refused');
+  }
+  const send = async (config, shockers, values) => {
+    if (!shockers || shockers.length === 0) {
+      return { enabled: false, message: 'No shockers specified' };
+    }
+    const result = await sendJsonRequest(config.url, {
+      method: config.method,
+      headers: config.headers,
+      body: renderTemplate(config.template, { ...values, shockers }),
+      serviceName: `HTTP device endpoint ${new URL(config.url).host}`
+    });
+    return result.success ? { ...result, shockers } : result;
+  };
+
+  return {
+    name: 'http',
+
+    validate: (data) => {
+      const options = data.http;
+      if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return { valid: false, message: 'HTTP driver requires an "http" object with at least a url' };
+      }
+
+      let url;
+      try {
+        url = new URL(options.url);
+      } catch (error) {
+        return { valid: false, message: 'http.url must be a valid URL' };
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { valid: false, message: 'http.url must use http or https' };
+      }
+      if (allowedHosts.length === 0) {
+        return { valid: false, message: 'The HTTP driver has no allowed hosts configured on this server' };
+      }
+      if (!allowedHosts.includes(url.hostname)) {
+        return { valid: false, message: `http.url host "${url.hostname}" is not in the allowed host list` };
+      }
+
+      const method = (options.method || 'POST').toUpperCase();
+      if (!['POST', 'PUT', 'PATCH'].includes(method)) {
+        return { valid: false, message: 'http.method must be POST, PUT or PATCH' };
+      }
+
+      const headers = {};
+      if (options.headers !== undefined) {
+        if (typeof options.headers !== 'object' || Array.isArray(options.headers)) {
+          return { valid: false, message: 'http.headers must be an object of header names to values' };
+        }
+        Object.keys(options.headers).forEach(name => {
+          headers[name] = String(options.headers[name]);
+        });
+      }
+
+      const template = options.template === undefined ? DEFAULT_TEMPLATE : options.template;
+      if (template === null || (typeof template !== 'object' && typeof template !== 'string')) {
+        return { valid: false, message: 'http.template must be an object, array or string' };
+      }
+
+      return { valid: true, config: { url: url.toString(), method, headers, template } };
+    },
+
+    // Subscribers only share a request when the whole endpoint config matches
+    groupKey: (config) => crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex'),
+
+    // Headers may carry credentials, so only the host is shown
+    describe: (config) => `endpoint ${new URL(config.url).host}`,
+
+    send: (config, shockers, { intensity, duration, type }) => {
+      return send(config, shockers, {
+        action: 'send',
+        type,
+        intensity: parseInt(intensity),
+        duration: parseInt(duration)
+      });
+    },
+
+    stop: (config, shockers) => {
+      return send(config, shockers, { action: 'stop', type: 'stop', intensity: 0, duration: 0 });
+    }
+  };
+};
+
+module.exports = { createHttpDriver, renderTemplate };
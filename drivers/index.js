@@ -0,0 +1,45 @@
+const { createOpenShockDriver, probeOpenShockApi } = require('./openshock');
+const { createSimulatorDriver } = require('./simulator');
+const { createHttpDriver } = require('./http');
+
+// Device drivers
+// Every driver implements:
+//   name                              - identifier used in subscribe_broadcast ("driver")
+//   validate(data)                    - check a subscribe message, returns { valid, message } or { valid, config }
+//   groupKey(config)                  - subscribers with equal keys share one device call
+//   describe(config)                  - masked label for logs (never includes secrets)
+//   send(config, shockers, command)   - fire { intensity, duration, type }, resolves to a result object
+//   stop(config, shockers)            - stop the shockers immediately
+// Results follow the shape { enabled, success, statusCode, data, shockers, error }
+
+const DEFAULT_DRIVER = 'openshock';
+const AVAILABLE_DRIVERS = ['openshock', 'simulator', 'http'];
+
+// Create the enabled drivers, returns a Map of name -> driver
+// openshock: { apiUrl, apiVersion, customName, allowedHosts, onRequest } server-wide OpenShock backend settings
+const createDeviceDrivers = ({ enabled = ['openshock', 'simulator'], onSimulatedCommand, httpAllowedHosts = [], openshock = {} } = {}) => {
+  const drivers = new Map();
+  enabled.forEach(name => {
+    switch (name) {
+      case 'openshock':
+        drivers.set(name, createOpenShockDriver(openshock));
+        break;
+      case 'simulator':
+        drivers.set(name, createSimulatorDriver({ onCommand: onSimulatedCommand }));
+        break;
+      case 'http':
+        drivers.set(name, createHttpDriver({ allowedHosts: httpAllowedHosts }));
+        break;
+      default:
+        throw new Error(`Unknown device driver "${name}". Available drivers: ${AVAILABLE_DRIVERS.join(', ')}`);
+    }
+  });
+  return drivers;
+};
+
+module.exports = {
+  DEFAULT_DRIVER,
+  AVAILABLE_DRIVERS,
+  createDeviceDrivers,
+  probeOpenShockApi
+};
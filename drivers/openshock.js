@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { sendJsonRequest } = require('./http-request');
+const { logger } = require('../logger');
+
+const DEFAULT_API_URL = 'https://api.openshock.app';
+const DEFAULT_CUSTOM_NAME = 'From shocekr.resung.gay <3';
+const API_VERSIONS = [1, 2];
+
+// Check an OpenShock base URL, returns { valid, message } or { valid, url } (without trailing slash)
+// allowedHosts is the list of hosts the URL may point at (null = any, only for the operator's own settings)
+// Subscriber URLs carry their OpenShock token, so they must use https; http is only allowed in the operator's settings
+const parseApiUrl = (value, allowedHosts) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { valid: false, message: 'OpenShock API URL must be a valid URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { valid: false, message: 'OpenShock API URL must use http or https' };
+  }
+  if (allowedHosts && url.protocol !== 'https:') {
+    return { valid: false, message: 'OpenShock API URL must use https' };
+  }
+  if (url.search || url.hash) {
+    return { valid: false, message: 'OpenShock API URL must not contain a query string or fragment' };
+  }
+  if (allowedHosts && !allowedHosts.includes(url.hostname)) {
+    return { valid: false, message: `OpenShock API host "${url.hostname}" is not in the allowed host list` };
+  }
+  return { valid: true, url: url.toString().replace(/\/+$/, '') };
+};
+
+// OpenShock driver (api.openshock.app or a self-hosted instance)
+// apiUrl, apiVersion and customName are the server-wide defaults; subscribers may override them
+// Subscribers may only point the driver at apiUrl's host or one of allowedHosts
+// onRequest({ durationMs, statusCode }) is called after every control request (statusCode is null on network errors)
+const createOpenShockDriver = ({ apiUrl = DEFAULT_API_URL, apiVersion = 2, customName = DEFAULT_CUSTOM_NAME, allowedHosts = [], onRequest = null } = {}) => {
+  const defaultUrl = parseApiUrl(apiUrl, null);
+  if (!defaultUrl.valid) {
+    throw new Error(`Invalid OpenShock API URL "${apiUrl}": ${defaultUrl.message}`);
+  }
+  if (!API_VERSIONS.includes(parseInt(apiVersion))) {
+    throw new Error(`Invalid OpenShock API version "${apiVersion}". Supported versions: ${API_VERSIONS.join(', ')}`);
+  }
+  const defaults = { apiUrl: defaultUrl.url, apiVersion: parseInt(apiVersion), customName };
+  const subscriberHosts = [new URL(defaultUrl.url).hostname, ...allowedHosts];
+
+  // Build the control request body for the configured API version
+  // v1 takes a bare array of controls, v2 wraps them and adds the display name
+  const buildPayload = (config, shocksArray) => {
+    if (config.apiVersion === 1) {
+      return shocksArray;
+    }
+    return {
+      shocks: shocksArray,
+      customName: config.customName
+    };
+  };
+
+  // Send a control request for every shocker in the group
+  const sendControl = async (config, shockers, type, intensity, duration) => {
+    // Check if OpenShock API token is provided
+    if (!config.token) {
+      return { enabled: false, message: 'OpenShock API token not provided' };
+    }
+
+    // Validate shockers are provided
+    if (!shockers || shockers.length === 0) {
+      return { enabled: false, message: 'No shockers specified' };
+    }
+
+    // Format shocks array with each shocker as an object
+    // OpenShock API expects duration in milliseconds
+    const shocksArray = shockers.map(shockerId => ({
+      id: shockerId,
+      type: type,
+      intensity: intensity,
+      duration: duration,
+      exclusive: true
+    }));
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await sendJsonRequest(`${config.apiUrl}/${config.apiVersion}/shockers/control`, {
+        method: 'POST',
+        headers: { 'OpenShockToken': config.token },
+        body: buildPayload(config, shocksArray),
+        serviceName: 'OpenShock API'
+      });
+    } catch (error) {
+      logger.debug(`OpenShock control request failed after ${Date.now() - startedAt}ms: ${error.message}`, { shockers });
+      if (onRequest) {
+        onRequest({ durationMs: Date.now() - startedAt, statusCode: null });
+      }
+      throw error;
+    }
+    logger.debug(`OpenShock control request: HTTP ${result.statusCode} in ${Date.now() - startedAt}ms`, { apiUrl: config.apiUrl, type, intensity, duration, shockers });
+    if (onRequest) {
+      onRequest({ durationMs: Date.now() - startedAt, statusCode: result.statusCode });
+    }
+    return result.success ? { ...result, shockers } : result;
+  };
+
+  return {
+    name: 'openshock',
+
+    defaults,
+
+    // Validate the subscribe_broadcast message and extract this driver's config
+    // Optional per-subscriber overrides: openshock: { apiUrl, apiVersion, customName }
+    validate: (data) => {
+      if (!data.openshockToken || typeof data.openshockToken !== 'string' || data.openshockToken.trim().length === 0) {
+        return { valid: false, message: 'OpenShock API token is required. Provide openshockToken in the subscription message.' };
+      }
+
+      const config = { ...defaults, token: data.openshockToken.trim() };
+      const overrides = data.openshock;
+      if (overrides !== undefined) {
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+          return { valid: false, message: 'openshock must be an object with apiUrl, apiVersion and/or customName' };
+        }
+
+        if (overrides.apiUrl !== undefined) {
+          const urlResult = parseApiUrl(overrides.apiUrl, subscriberHosts);
+          if (!urlResult.valid) {
+            return { valid: false, message: urlResult.message };
+          }
+          config.apiUrl = urlResult.url;
+        }
+
+        if (overrides.apiVersion !== undefined) {
+          const version = parseInt(overrides.apiVersion);
+          if (!API_VERSIONS.includes(version)) {
+            return { valid: false, message: `openshock.apiVersion must be one of: ${API_VERSIONS.join(', ')}` };
+          }
+          config.apiVersion = version;
+        }
+
+        if (overrides.customName !== undefined) {
+          if (typeof overrides.customName !== 'string' || overrides.customName.length > 64) {
+            return { valid: false, message: 'openshock.customName must be a string of at most 64 characters' };
+          }
+          config.customName = overrides.customName;
+        }
+      }
+
+      return { valid: true, config };
+    },
+
+    // Subscribers sharing a token on the same backend share one control request
+    groupKey: (config) => `${config.apiUrl}|${config.apiVersion}|${config.customName}|${config.token}`,
+
+    // Description for logs: the token is identified by a hash fingerprint, never by its characters
+    describe: (config) => {
+      const backend = config.apiUrl === defaults.apiUrl ? '' : ` @ ${new URL(config.apiUrl).host}`;
+      const fingerprint = crypto.createHash('sha256').update(config.token).digest('hex').substring(0, 8);
+      return `token #${fingerprint}${backend} (v${config.apiVersion})`;
+    },
+
+    send: (config, shockers, { intensity, duration, type }) => {
+      // Convert type to match OpenShock API format (capitalized: "Shock" or "Vibrate")
+      const openshockType = type === 'vibrate' ? 'Vibrate' : 'Shock';
+      return sendControl(config, shockers, openshockType, parseInt(intensity), parseInt(duration));
+    },
+
+    stop: (config, shockers) => {
+      return sendControl(config, shockers, 'Stop', 0, 300);
+    }
+  };
+};
+
+// Check that an OpenShock backend answers at all (any HTTP response counts, the status code is reported)
+// Resolves { reachable, statusCode, latencyMs, error }
+const probeOpenShockApi = async (apiUrl, { timeoutMs = 5000 } = {}) => {
+  const startedAt = Date.now();
+  try {
+    const result = await sendJsonRequest(apiUrl, { method: 'GET', serviceName: 'OpenShock API', timeoutMs });
+    return { reachable: true, statusCode: result.statusCode, latencyMs: Date.now() - startedAt, error: null };
+  } catch (error) {
+    return { reachable: false, statusCode: null, latencyMs: Date.now() - startedAt, error: error.message };
+  }
+};
+
+module.exports = { createOpenShockDriver, probeOpenShockApi };
@@ -0,0 +1,54 @@
+// Loopback simulator driver: records commands instead of driving hardware
+// onCommand(command) is called for every recorded command so the server can emit it over WebSocket
+const createSimulatorDriver = ({ onCommand, historySize = 100 } = {}) => {
+  const recordedCommands = [];
+
+  const record = (shockers, action, intensity, duration, type) => {
+    const command = {
+      action,
+      type,
+      intensity,
+      duration,
+      shockers,
+      timestamp: new Date().toISOString()
+    };
+    recordedCommands.push(command);
+    if (recordedCommands.length > historySize) {
+      recordedCommands.shift();
+    }
+    if (onCommand) {
+      onCommand(command);
+    }
+    return {
+      enabled: true,
+      success: true,
+      statusCode: 200,
+      data: { simulated: true },
+      shockers
+    };
+  };
+
+  return {
+    name: 'simulator',
+
+    // No credentials needed
+    validate: () => ({ valid: true, config: {} }),
+
+    groupKey: () => 'simulator',
+
+    describe: () => 'loopback',
+
+    send: async (config, shockers, { intensity, duration, type }) => {
+      return record(shockers, 'send', parseInt(intensity), parseInt(duration), type);
+    },
+
+    stop: async (config, shockers) => {
+      return record(shockers, 'stop', 0, 0, 'stop');
+    },
+
+    // Most recent commands, oldest first
+    getRecordedCommands: () => recordedCommands.slice()
+  };
+};
+
+module.exports = { createSimulatorDriver };
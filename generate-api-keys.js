@@ -1,29 +1,48 @@
 #!/usr/bin/env node
 
-const crypto = require('crypto');
-const fs = require('fs');
 const path = require('path');
+const { ApiKeyStore, API_KEY_SCOPES } = require('./api-key-store');
+const { FileStorage } = require('./storage');
+const { loadConfig } = require('./config');
 
-// Generate API keys
-const generateApiKeys = (count = 10) => {
-  const keys = [];
-  for (let i = 0; i < count; i++) {
-    keys.push(crypto.randomBytes(32).toString('hex'));
+// Create API keys in the key store (api-keys.json in the storage directory)
+// Usage: node generate-api-keys.js [count] [scope] (defaults to one "broadcast" key; a new store also gets an admin key)
+// Keys are stored hashed, so this is the only time they are shown
+const createApiKeysFile = (count = 1, scope = 'broadcast') => {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid count "${count}". The count must be a whole number of at least 1`);
+  }
+  if (!API_KEY_SCOPES.includes(scope)) {
+    throw new Error(`Unknown scope "${scope}". Available scopes: ${API_KEY_SCOPES.join(', ')}`);
   }
-  return keys;
-};
 
-// Create API keys file
-const createApiKeysFile = () => {
-  const keys = generateApiKeys(10);
-  const keysPath = path.join(__dirname, 'api-keys.txt');
-  
-  // Write keys to file
-  fs.writeFileSync(keysPath, keys.join('\n'));
+  // Use the same storage directory as the server (storage.dir / STORAGE_DIR)
+  const loaded = loadConfig({ filePath: path.resolve(__dirname, process.env.CONFIG_FILE || 'config.json') });
+  if (!loaded.valid) {
+    throw new Error(`Invalid configuration: ${loaded.errors.join('; ')}`);
+  }
+  const storage = new FileStorage({ dir: path.resolve(__dirname, loaded.config.storage.dir) });
+  const store = new ApiKeyStore({
+    storage,
+    legacyFilePath: path.join(__dirname, 'api-keys.txt')
+  });
+  const { migrated, generated } = store.load();
+  if (migrated > 0) {
+    console.log(`🔑 Migrated ${migrated} API key(s) from api-keys.txt (renamed to api-keys.txt.migrated)`);
+  }
+
+  const created = [];
+  while (created.length < count) {
+    created.push(store.create({ label: `Generated key ${store.keys.size + 1}`, scopes: [scope], expiresAt: null }).key);
+  }
+  const keys = generated ? [generated, ...created] : created;
+  if (generated) {
+    console.log('🔑 No key store found - key 1 is a new default admin key');
+  }
   
-  console.log('🔑 Generated API keys file: api-keys.txt');
-  console.log(`📊 Generated ${keys.length} API keys`);
-  console.log('\n📋 API Keys:');
+  console.log(`🔑 Updated API key store: ${storage.locate('api-keys')}`);
+  console.log(`📊 Generated ${created.length} API key(s) with the "${scope}" scope`);
+  console.log('\n📋 API Keys (shown only once):');
   console.log('='.repeat(80));
   
   keys.forEach((key, index) => {
@@ -42,7 +61,13 @@ const createApiKeysFile = () => {
 
 // Run if called directly
 if (require.main === module) {
-  createApiKeysFile();
+  const [count, scope] = process.argv.slice(2);
+  try {
+    createApiKeysFile(count === undefined ? undefined : (/^\d+$/.test(count) ? parseInt(count) : count), scope);
+  } catch (error) {
+    console.error('❌ Error generating API keys:', error.message);
+    process.exitCode = 1;
+  }
 }
 
-module.exports = { generateApiKeys, createApiKeysFile };
+module.exports = { createApiKeysFile };
@@ -4,22 +4,31 @@ require('dotenv').config();
 const acme = require('acme-client');
 const fs = require('fs');
 const path = require('path');
+const { logger } = require('./logger');
 
-// Let's Encrypt configuration
+const PRODUCTION_DIRECTORY_URL = 'https://acme-v02.api.letsencrypt.org/directory';
+const STAGING_DIRECTORY_URL = 'https://acme-staging-v02.api.letsencrypt.org/directory';
+
+// Let's Encrypt configuration (set from the acme section of the server config by configureACME)
 const acmeConfig = {
   // Let's Encrypt server (staging for testing, production for live)
-  directoryUrl: process.env.NODE_ENV === 'production' 
-    ? 'https://acme-v02.api.letsencrypt.org/directory'
-    : 'https://acme-staging-v02.api.letsencrypt.org/directory',
+  directoryUrl: STAGING_DIRECTORY_URL,
   
-  // Email for Let's Encrypt notifications
-  email: process.env.LE_EMAIL || 'resung25@proton.me',
+  // Email for Let's Encrypt notifications (required to request certificates)
+  email: null,
   
   // Store certificates in ./certs directory
   certDir: path.join(__dirname, 'certs'),
   
   // Domains to secure
-  domains: process.env.DOMAINS ? process.env.DOMAINS.split(',') : ['localhost'],
+  domains: ['localhost'],
+};
+
+// Apply { email, domains, staging } before the ACME client is first used
+const configureACME = ({ email, domains, staging }) => {
+  acmeConfig.directoryUrl = staging ? STAGING_DIRECTORY_URL : PRODUCTION_DIRECTORY_URL;
+  acmeConfig.email = email;
+  acmeConfig.domains = domains;
 };
 
 // Initialize ACME client
@@ -32,9 +41,9 @@ const initializeACME = async () => {
         directoryUrl: acmeConfig.directoryUrl,
         accountKey: await getOrCreateAccountKey()
       });
-      console.log('🔒 ACME client initialized');
+      logger.info('🔒 ACME client initialized');
     } catch (error) {
-      console.error('❌ Failed to initialize ACME client:', error.message);
+      logger.error('❌ Failed to initialize ACME client:', error.message);
       throw error;
     }
   }
@@ -100,6 +109,9 @@ const hasValidCertificate = async (domain) => {
 // Request new certificate
 const requestCertificate = async (domain) => {
   try {
+    if (!acmeConfig.email) {
+      throw new Error('acme.email (LE_EMAIL) must be set to request certificates');
+    }
     const client = await initializeACME();
     const certKey = await getOrCreateCertKey(domain);
     
@@ -115,9 +127,9 @@ const requestCertificate = async (domain) => {
       key: certKey
     });
     
-    console.log(`🌐 Testing domain accessibility...`);
-    console.log(`📡 Domain: ${domain}`);
-    console.log(`🔗 Test URL: http://${domain}/.well-known/acme-challenge/test`);
+    logger.debug(`🌐 Testing domain accessibility...`);
+    logger.debug(`📡 Domain: ${domain}`);
+    logger.debug(`🔗 Test URL: http://${domain}/.well-known/acme-challenge/test`);
     
     // Use the auto method which handles everything
     const cert = await Promise.race([
@@ -130,17 +142,16 @@ const requestCertificate = async (domain) => {
           const challengePath = path.join(__dirname, 'public', '.well-known', 'acme-challenge', challenge.token);
           fs.mkdirSync(path.dirname(challengePath), { recursive: true });
           fs.writeFileSync(challengePath, keyAuthorization);
-          console.log(`📁 Challenge file created: ${challengePath}`);
-          console.log(`🔗 Challenge URL: http://${domain}/.well-known/acme-challenge/${challenge.token}`);
-          console.log(`📄 Challenge content: ${keyAuthorization}`);
-          console.log(`⏳ Waiting for Let's Encrypt to verify challenge...`);
+          // The key authorization is only written to the challenge file, never logged
+          logger.info(`📁 Challenge file created for ${domain}`);
+          logger.info(`⏳ Waiting for Let's Encrypt to verify challenge...`);
         },
         challengeRemoveFn: async (authz, challenge) => {
           // Remove challenge file
           const challengePath = path.join(__dirname, 'public', '.well-known', 'acme-challenge', challenge.token);
           if (fs.existsSync(challengePath)) {
             fs.unlinkSync(challengePath);
-            console.log(`🗑️ Challenge file removed: ${challengePath}`);
+            logger.debug(`🗑️ Challenge file removed: ${challengePath}`);
           }
         }
       }),
@@ -155,14 +166,14 @@ const requestCertificate = async (domain) => {
     fs.writeFileSync(certPath, cert);
     fs.writeFileSync(keyPath, key); // Use the key from CSR creation
     
-    console.log(`✅ Certificate created for ${domain}`);
-    console.log(`📁 Certificate saved: ${certPath}`);
-    console.log(`🔑 Key saved: ${keyPath}`);
-    console.log(`🔑 Using key from CSR creation (${key.length} bytes)`);
+    logger.info(`✅ Certificate created for ${domain}`);
+    logger.info(`📁 Certificate saved: ${certPath}`);
+    logger.info(`🔑 Key saved: ${keyPath}`);
+    logger.debug(`🔑 Using key from CSR creation (${key.length} bytes)`);
     return { key: key, cert };
     
   } catch (error) {
-    console.error(`❌ Failed to request certificate for ${domain}:`, error.message);
+    logger.error(`❌ Failed to request certificate for ${domain}:`, error.message);
     throw error;
   }
 };
@@ -180,13 +191,13 @@ const getCertificate = async (domain) => {
     const key = fs.readFileSync(keyPath);
     const cert = fs.readFileSync(certPath);
     
-    console.log(`📜 Loading certificate for ${domain}`);
-    console.log(`🔑 Key size: ${key.length} bytes`);
-    console.log(`📄 Cert size: ${cert.length} bytes`);
+    logger.info(`📜 Loading certificate for ${domain}`);
+    logger.debug(`🔑 Key size: ${key.length} bytes`);
+    logger.debug(`📄 Cert size: ${cert.length} bytes`);
     
     return { key, cert };
   } catch (error) {
-    console.error(`❌ Failed to get certificate for ${domain}:`, error.message);
+    logger.error(`❌ Failed to get certificate for ${domain}:`, error.message);
     throw error;
   }
 };
@@ -200,13 +211,14 @@ const getSSLOptions = async (domain) => {
       cert: cert.cert
     };
   } catch (error) {
-    console.error('❌ Failed to get SSL options:', error.message);
+    logger.error('❌ Failed to get SSL options:', error.message);
     throw error;
   }
 };
 
 module.exports = {
   acmeConfig,
+  configureACME,
   initializeACME,
   getCertificate,
   requestCertificate,
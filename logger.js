@@ -0,0 +1,154 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+
+// Fields whose values are never written, whatever they contain
+const SECRET_FIELD_REGEX = /^(api_?key|.*token|.*secret|password|authorization|private_?key|key_?authorization|invite(_?code)?)$/i;
+
+// Secrets that can turn up inside messages, replaced before anything is written
+const SECRET_PATTERNS = [
+  // PEM private keys (certificate and account keys)
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY-----|$)/g, '[REDACTED PRIVATE KEY]'],
+  // Credentials in URLs (?apiKey=..., &token=...)
+  [/([?&](?:api_?key|token|invite|secret|openshock_?token)=)[^&\s"]+/gi, '$1[REDACTED]'],
+  [/(Bearer\s+)\S+/gi, '$1[REDACTED]'],
+  // Secret fields inside serialized text (apiKey: ..., "openshockToken":"...", secret=...)
+  [/((?:api_?key|token|secret|password)["']?\s*[:=]\s*["']?)[^\s"',&}]+/gi, '$1[REDACTED]'],
+  // Generated API keys and webhook secrets (64 hex characters)
+  [/(?<![A-Za-z0-9_-])[0-9a-f]{64}(?![A-Za-z0-9_-])/gi, '[REDACTED]'],
+  // ACME key authorizations (<challenge token>.<account key thumbprint>)
+  [/(?<![A-Za-z0-9_-])[A-Za-z0-9_-]{22,}\.[A-Za-z0-9_-]{43}(?![A-Za-z0-9_-])/g, '[REDACTED]']
+];
+
+const redactString = (value) => SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+
+// Copy of a value with secret fields and secret-looking strings replaced
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 5) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = SECRET_FIELD_REGEX.test(key) && item !== null && item !== undefined ? '[REDACTED]' : redact(item, depth + 1);
+  });
+  return copy;
+};
+
+const formatField = (value) => typeof value === 'string' && !/[\s"=]/.test(value) ? value : JSON.stringify(value);
+
+// Leveled logger with text or JSON output
+// Calls look like console's: logger.info('message', ...extra) where plain objects become fields,
+// an Error becomes the "error" field (with its stack at debug level) and anything else is appended to the message
+// Context set with runWithContext (e.g. the request id) is added to every line logged inside it, across awaits
+class Logger {
+  constructor({ level = 'info', format = 'text' } = {}) {
+    this.context = new AsyncLocalStorage();
+    this.configure({ level, format });
+  }
+
+  configure({ level = this.level, format = this.format }) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${level}". Levels: ${LOG_LEVELS.join(', ')}`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Unknown log format "${format}". Formats: ${LOG_FORMATS.join(', ')}`);
+    }
+    this.level = level;
+    this.format = format;
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+  }
+
+  // Run fn with context fields merged into the current ones
+  runWithContext(context, fn) {
+    return this.context.run({ ...this.getContext(), ...context }, fn);
+  }
+
+  getContext() {
+    return this.context.getStore() || {};
+  }
+
+  static newRequestId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  log(level, message, ...args) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const fields = {};
+    const parts = [String(message)];
+    args.forEach(arg => {
+      if (arg instanceof Error) {
+        fields.error = arg.message;
+        if (this.level === 'debug' && arg.stack) {
+          fields.stack = arg.stack;
+        }
+      } else if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+        Object.assign(fields, arg);
+      } else if (arg !== undefined) {
+        parts.push(typeof arg === 'string' ? arg : JSON.stringify(arg));
+      }
+    });
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...this.getContext(),
+      message: redactString(parts.join(' ')),
+      ...redact(fields)
+    };
+    let line;
+    if (this.format === 'json') {
+      line = JSON.stringify(entry);
+    } else {
+      const { time, level: entryLevel, message: text, requestId, ...rest } = entry;
+      const extra = Object.entries(rest)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => ` ${key}=${formatField(value)}`)
+        .join('');
+      line = `${time} ${entryLevel.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${text}${extra}`;
+    }
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(line + '\n');
+  }
+
+  error(message, ...args) {
+    this.log('error', message, ...args);
+  }
+
+  warn(message, ...args) {
+    this.log('warn', message, ...args);
+  }
+
+  info(message, ...args) {
+    this.log('info', message, ...args);
+  }
+
+  debug(message, ...args) {
+    this.log('debug', message, ...args);
+  }
+}
+
+// Shared by the server and its modules; configured from logging.* at startup and on reload
+const logger = new Logger();
+
+module.exports = {
+  logger,
+  Logger,
+  LOG_LEVELS,
+  LOG_FORMATS,
+  redact
+};
@@ -0,0 +1,164 @@
+const { logger } = require('./logger');
+
+// Prometheus metrics in the text exposition format (version 0.0.4)
+// Counters and histograms are updated where things happen; a metric given collect() is read when scraped instead
+// collect() returns a list of { labels, value } samples (histograms cannot be collected)
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const escapeHelp = (help) => help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+class Metric {
+  constructor({ name, help, type, labelNames = [], collect = null }) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.series = new Map(); // Map of label key -> { labels, ... }
+  }
+
+  // Series for a label set, created on first use (labels outside labelNames are ignored, missing ones are "")
+  getSeries(labels, create) {
+    const picked = {};
+    this.labelNames.forEach(name => {
+      picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    });
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, create(picked));
+    }
+    return this.series.get(key);
+  }
+
+  samples() {
+    if (this.collect) {
+      return this.collect().map(sample => `${this.name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+    }
+    return Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super({ ...options, type: 'counter' });
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super({ ...options, type: 'gauge' });
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets, ...options }) {
+    super({ ...options, type: 'histogram' });
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, picked => ({
+      labels: picked,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  samples() {
+    const lines = [];
+    this.series.forEach(series => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+// A set of metrics rendered together for GET /metrics
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map(); // Map of name -> metric
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric "${metric.name}" is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  // A collect() that throws skips that metric rather than failing the whole scrape
+  render() {
+    const blocks = [];
+    this.metrics.forEach(metric => {
+      try {
+        blocks.push(metric.render());
+      } catch (error) {
+        logger.error(`❌ Could not collect metric ${metric.name}:`, error.message);
+      }
+    });
+    return blocks.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  CONTENT_TYPE
+};
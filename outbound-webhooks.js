@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const https = require('https');
+const http = require('http');
+const { logger } = require('./logger');
+
+// Events that can be sent to outbound webhooks ("*" subscribes to all of them)
+const OUTBOUND_EVENTS = [
+  'broadcast_dispatched',
+  'broadcast_result',
+  'emergency_stop',
+  'subscriber_joined',
+  'subscriber_left',
+  'cert_renewed',
+  'cert_renewal_failed'
+];
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Validate the event list of a registration, returns { valid, events } or { valid: false, message }
+const parseEvents = (events) => {
+  if (events === undefined || events === '*') {
+    return { valid: true, events: ['*'] };
+  }
+  const list = Array.isArray(events) ? events : String(events).split(',').map(event => event.trim()).filter(Boolean);
+  if (list.length === 0) {
+    return { valid: false, message: 'events must list at least one event' };
+  }
+  const unknown = list.filter(event => event !== '*' && !OUTBOUND_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return { valid: false, message: `Unknown event(s): ${unknown.join(', ')}. Valid events: ${OUTBOUND_EVENTS.join(', ')}` };
+  }
+  return { valid: true, events: list.includes('*') ? ['*'] : Array.from(new Set(list)) };
+};
+
+// POST a signed JSON body, resolves with { success, statusCode, error }
+const postJson = (url, body, headers, timeoutMs) => {
+  return new Promise((resolve) => {
+    const client = url.startsWith('http://') ? http : https;
+    let request;
+    try {
+      request = client.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'shocker-server-webhooks',
+          ...headers
+        }
+      }, (res) => {
+        // Drain the response; only the status code matters
+        res.resume();
+        res.on('end', () => {
+          const success = res.statusCode >= 200 && res.statusCode < 300;
+          resolve({ success, statusCode: res.statusCode, error: success ? null : `HTTP ${res.statusCode}` });
+        });
+      });
+    } catch (error) {
+      resolve({ success: false, statusCode: null, error: error.message });
+      return;
+    }
+    request.setTimeout(timeoutMs, () => {
+      request.destroy(new Error('Request timed out'));
+    });
+    request.on('error', (error) => {
+      resolve({ success: false, statusCode: null, error: error.message });
+    });
+    request.end(body);
+  });
+};
+
+// Outbound webhooks: registered URLs receive signed JSON for server events
+// Each delivery is retried with exponential backoff; deliveries that exhaust their attempts become dead letters
+// Registrations and dead letters are persisted in the "outbound-webhooks" document (stored as secret, the secrets are needed to sign)
+class OutboundWebhooks {
+  constructor({ storage, maxAttempts = 6, baseDelayMs = 1000, maxDelayMs = 300000, timeoutMs = 10000, maxDeadLetters = 500 }) {
+    this.storage = storage;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.maxDeadLetters = maxDeadLetters;
+    this.webhooks = new Map(); // Map of id -> registration
+    this.deadLetters = [];
+    this.retrying = new Map(); // Map of delivery id -> delivery waiting for its next attempt
+  }
+
+  load() {
+    const stored = this.storage.read('outbound-webhooks');
+    if (!stored) {
+      return 0;
+    }
+    (stored.webhooks || []).forEach(webhook => this.webhooks.set(webhook.id, webhook));
+    this.deadLetters = stored.deadLetters || [];
+    return this.webhooks.size;
+  }
+
+  save() {
+    this.storage.write('outbound-webhooks', {
+      webhooks: Array.from(this.webhooks.values()),
+      deadLetters: this.deadLetters
+    }, { secret: true });
+  }
+
+  // Register a URL; a signing secret is generated unless one is given
+  // Returns { valid, message } or { valid, webhook, secret }
+  create({ url, events, description, secret }) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return { valid: false, message: 'url must be an absolute http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return { valid: false, message: 'url must be an absolute http(s) URL' };
+    }
+    const eventsResult = parseEvents(events);
+    if (!eventsResult.valid) {
+      return eventsResult;
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+      return { valid: false, message: 'description must be a string of up to 200 characters' };
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 256)) {
+      return { valid: false, message: 'secret must be a string of 16-256 characters' };
+    }
+
+    const plaintext = secret || crypto.randomBytes(32).toString('hex');
+    const webhook = {
+      id: crypto.randomBytes(6).toString('hex'),
+      url: parsedUrl.toString(),
+      events: eventsResult.events,
+      description: description || '',
+      secret: plaintext,
+      enabled: true,
+      createdAt: new Date().toISOString(),
+      lastDeliveryAt: null,
+      lastStatus: null,
+      lastError: null
+    };
+    this.webhooks.set(webhook.id, webhook);
+    this.save();
+    return { valid: true, webhook, secret: plaintext };
+  }
+
+  // Remove a registration along with its pending retries and dead letters
+  delete(id) {
+    if (!this.webhooks.delete(id)) {
+      return false;
+    }
+    this.retrying.forEach((delivery, deliveryId) => {
+      if (delivery.webhookId === id) {
+        clearTimeout(delivery.timer);
+        this.retrying.delete(deliveryId);
+      }
+    });
+    this.deadLetters = this.deadLetters.filter(delivery => delivery.webhookId !== id);
+    this.save();
+    return true;
+  }
+
+  // Send an event to every registration subscribed to it (fire and forget)
+  // Returns the number of deliveries started
+  emit(event, data) {
+    const payload = {
+      id: crypto.randomBytes(8).toString('hex'),
+      event,
+      timestamp: new Date().toISOString(),
+      data
+    };
+    let started = 0;
+    this.webhooks.forEach((webhook) => {
+      if (!webhook.enabled || !(webhook.events.includes('*') || webhook.events.includes(event))) {
+        return;
+      }
+      started++;
+      this.attempt({
+        id: crypto.randomBytes(8).toString('hex'),
+        webhookId: webhook.id,
+        event,
+        payload,
+        attempts: 0,
+        createdAt: payload.timestamp,
+        lastAttemptAt: null,
+        lastStatus: null,
+        lastError: null
+      });
+    });
+    return started;
+  }
+
+  // Make one delivery attempt, scheduling a retry or dead-lettering on failure
+  // Resolves with the attempt's { success, statusCode, error }
+  async attempt(delivery) {
+    const webhook = this.webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      return { success: false, statusCode: null, error: 'Webhook no longer exists' };
+    }
+
+    // Sign the exact bytes that are sent so receivers can verify them
+    const body = JSON.stringify(delivery.payload);
+    const signature = crypto.createHmac('sha256', webhook.secret).update(body).digest('hex');
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date().toISOString();
+    const result = await postJson(webhook.url, body, {
+      [SIGNATURE_HEADER]: `sha256=${signature}`,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id
+    }, this.timeoutMs);
+
+    delivery.lastStatus = result.statusCode;
+    delivery.lastError = result.error;
+    webhook.lastDeliveryAt = delivery.lastAttemptAt;
+    webhook.lastStatus = result.statusCode;
+    webhook.lastError = result.error;
+
+    if (result.success) {
+      return result;
+    }
+    if (delivery.attempts < this.maxAttempts && this.webhooks.has(webhook.id)) {
+      // Exponential backoff: 1x, 2x, 4x... the base delay
+      const delayMs = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, delivery.attempts - 1));
+      logger.error(`❌ Outbound webhook ${webhook.id} ${delivery.event} delivery failed (attempt ${delivery.attempts} of ${this.maxAttempts}, retrying in ${Math.round(delayMs / 1000)}s): ${result.error}`);
+      delivery.timer = setTimeout(() => {
+        this.retrying.delete(delivery.id);
+        delivery.timer = null;
+        this.attempt(delivery);
+      }, delayMs);
+      delivery.timer.unref();
+      this.retrying.set(delivery.id, delivery);
+      return result;
+    }
+
+    logger.error(`❌ Outbound webhook ${webhook.id} ${delivery.event} delivery failed after ${delivery.attempts} attempt(s), moved to dead letters: ${result.error}`);
+    this.deadLetters.push({ ...delivery, timer: undefined, failedAt: new Date().toISOString() });
+    // Keep the newest dead letters only
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.splice(0, this.deadLetters.length - this.maxDeadLetters);
+    }
+    this.save();
+    return result;
+  }
+
+  // Send a dead letter again (one attempt, then the usual retries)
+  // Resolves with { found: false } or { found: true, result }
+  async redeliver(deliveryId) {
+    const index = this.deadLetters.findIndex(delivery => delivery.id === deliveryId);
+    if (index === -1) {
+      return { found: false };
+    }
+    const [delivery] = this.deadLetters.splice(index, 1);
+    this.save();
+    delivery.attempts = 0;
+    delete delivery.failedAt;
+    return { found: true, result: await this.attempt(delivery) };
+  }
+
+  // Drop a dead letter without sending it
+  discard(deliveryId) {
+    const index = this.deadLetters.findIndex(delivery => delivery.id === deliveryId);
+    if (index === -1) {
+      return false;
+    }
+    this.deadLetters.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  // Dead letters, newest first (optionally for one webhook)
+  listDeadLetters(webhookId = null) {
+    return this.deadLetters
+      .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+      .slice()
+      .reverse();
+  }
+
+  // Public view of a registration (the secret is only shown at creation)
+  describe(webhook) {
+    const { secret, ...rest } = webhook;
+    let retrying = 0;
+    this.retrying.forEach(delivery => {
+      if (delivery.webhookId === webhook.id) {
+        retrying++;
+      }
+    });
+    return {
+      ...rest,
+      secretPreview: `${secret.substring(0, 4)}...`,
+      retrying,
+      deadLetters: this.deadLetters.filter(delivery => delivery.webhookId === webhook.id).length
+    };
+  }
+
+  list() {
+    return Array.from(this.webhooks.values()).map(webhook => this.describe(webhook));
+  }
+}
+
+module.exports = {
+  OutboundWebhooks,
+  OUTBOUND_EVENTS
+};
@@ -0,0 +1,203 @@
+const { logger } = require('./logger');
+
+// Limits for a single pattern after expansion
+const MAX_PATTERN_STEPS = 100;
+const MAX_PATTERN_DURATION = 60000;
+const MAX_PAUSE = 30000;
+const PATTERN_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Expand a pattern definition into flat steps
+// Supported step forms:
+//   { type, intensity, duration }                              - one hit
+//   { pause }                                                  - wait (ms)
+//   { ramp: { type, from, to, steps, duration, gap } }         - hits stepping linearly from one intensity to another
+//   { pulse: { type, intensity, duration, count, gap } }       - repeated identical hits
+// validateIntensity/validateTime are the server's 0-100 / 300-30000ms rules
+// Returns { valid: true, steps, totalDuration } or { valid: false, message }
+const expandPattern = (definition, { validateIntensity, validateTime }) => {
+  if (!Array.isArray(definition) || definition.length === 0) {
+    return { valid: false, message: 'steps must be a non-empty array' };
+  }
+
+  const steps = [];
+  const validTypes = ['shock', 'vibrate'];
+
+  const addHit = (type, intensity, duration, label) => {
+    if (!validTypes.includes(type)) {
+      return `${label}: type must be either "shock" or "vibrate"`;
+    }
+    if (!validateIntensity(intensity)) {
+      return `${label}: intensity must be a number between 0 and 100`;
+    }
+    if (!validateTime(duration)) {
+      return `${label}: duration must be a number between 300 and 30000 milliseconds`;
+    }
+    steps.push({ type, intensity: parseInt(intensity), duration: parseInt(duration) });
+    return null;
+  };
+
+  const addPause = (pause, label) => {
+    const ms = parseInt(pause);
+    if (isNaN(ms) || ms < 0 || ms > MAX_PAUSE) {
+      return `${label}: pause must be a number between 0 and ${MAX_PAUSE} milliseconds`;
+    }
+    if (ms > 0) {
+      steps.push({ pause: ms });
+    }
+    return null;
+  };
+
+  for (let i = 0; i < definition.length; i++) {
+    const step = definition[i];
+    const label = `Step ${i + 1}`;
+    let error = null;
+
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      return { valid: false, message: `${label}: must be an object` };
+    }
+
+    if (step.pause !== undefined) {
+      error = addPause(step.pause, label);
+    } else if (step.ramp) {
+      const { type, from, to, duration } = step.ramp;
+      const count = parseInt(step.ramp.steps);
+      if (isNaN(count) || count < 2 || count > MAX_PATTERN_STEPS) {
+        return { valid: false, message: `${label}: ramp.steps must be a number between 2 and ${MAX_PATTERN_STEPS}` };
+      }
+      if (!validateIntensity(from) || !validateIntensity(to)) {
+        return { valid: false, message: `${label}: ramp.from and ramp.to must be numbers between 0 and 100` };
+      }
+      for (let n = 0; n < count && !error; n++) {
+        const intensity = Math.round(parseInt(from) + (parseInt(to) - parseInt(from)) * n / (count - 1));
+        error = addHit(type, intensity, duration, `${label} (ramp ${n + 1})`);
+        if (!error && step.ramp.gap && n < count - 1) {
+          error = addPause(step.ramp.gap, `${label} (ramp gap)`);
+        }
+      }
+    } else if (step.pulse) {
+      const { type, intensity, duration } = step.pulse;
+      const count = parseInt(step.pulse.count);
+      if (isNaN(count) || count < 1 || count > MAX_PATTERN_STEPS) {
+        return { valid: false, message: `${label}: pulse.count must be a number between 1 and ${MAX_PATTERN_STEPS}` };
+      }
+      for (let n = 0; n < count && !error; n++) {
+        error = addHit(type, intensity, duration, `${label} (pulse ${n + 1})`);
+        if (!error && step.pulse.gap && n < count - 1) {
+          error = addPause(step.pulse.gap, `${label} (pulse gap)`);
+        }
+      }
+    } else {
+      error = addHit(step.type, step.intensity, step.duration, label);
+    }
+
+    if (error) {
+      return { valid: false, message: error };
+    }
+    if (steps.length > MAX_PATTERN_STEPS) {
+      return { valid: false, message: `Pattern expands to more than ${MAX_PATTERN_STEPS} steps` };
+    }
+  }
+
+  if (!steps.some(step => step.pause === undefined)) {
+    return { valid: false, message: 'Pattern must contain at least one shock or vibrate step' };
+  }
+
+  const totalDuration = steps.reduce((sum, step) => sum + (step.pause !== undefined ? step.pause : step.duration), 0);
+  if (totalDuration > MAX_PATTERN_DURATION) {
+    return { valid: false, message: `Pattern runs for ${totalDuration}ms, the maximum is ${MAX_PATTERN_DURATION}ms` };
+  }
+
+  return { valid: true, steps, totalDuration };
+};
+
+// Named patterns, persisted in the storage backend's "patterns" document
+class PatternLibrary {
+  constructor({ storage, validateIntensity, validateTime }) {
+    this.storage = storage;
+    this.validators = { validateIntensity, validateTime };
+    this.patterns = new Map(); // Map of name -> { name, description, steps, createdAt, updatedAt }
+  }
+
+  load() {
+    const stored = this.storage.read('patterns');
+    if (!stored) {
+      return 0;
+    }
+    (stored.patterns || []).forEach(pattern => {
+      const result = expandPattern(pattern.steps, this.validators);
+      if (result.valid) {
+        this.patterns.set(pattern.name, pattern);
+      } else {
+        logger.warn(`⚠️  Skipping invalid stored pattern "${pattern.name}": ${result.message}`);
+      }
+    });
+    return this.patterns.size;
+  }
+
+  save() {
+    this.storage.write('patterns', { patterns: Array.from(this.patterns.values()) });
+  }
+
+  list() {
+    return Array.from(this.patterns.values());
+  }
+
+  get(name) {
+    return this.patterns.get(name) || null;
+  }
+
+  // Expanded steps for a stored pattern
+  expand(name) {
+    const pattern = this.get(name);
+    return pattern ? expandPattern(pattern.steps, this.validators) : null;
+  }
+
+  // Create or replace a pattern, returns { valid, message } or { valid, pattern, expanded }
+  put(name, { description = '', steps }, { create }) {
+    if (typeof name !== 'string' || !PATTERN_NAME_REGEX.test(name)) {
+      return { valid: false, message: 'Pattern name must be 1-64 letters, digits, "-" or "_"' };
+    }
+    if (create && this.patterns.has(name)) {
+      return { valid: false, conflict: true, message: `Pattern "${name}" already exists` };
+    }
+    if (!create && !this.patterns.has(name)) {
+      return { valid: false, notFound: true, message: `Pattern "${name}" not found` };
+    }
+    if (typeof description !== 'string' || description.length > 200) {
+      return { valid: false, message: 'Description must be a string of at most 200 characters' };
+    }
+
+    const expanded = expandPattern(steps, this.validators);
+    if (!expanded.valid) {
+      return expanded;
+    }
+
+    const now = new Date().toISOString();
+    const existing = this.patterns.get(name);
+    const pattern = {
+      name,
+      description,
+      steps,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    this.patterns.set(name, pattern);
+    this.save();
+    return { valid: true, pattern, expanded };
+  }
+
+  delete(name) {
+    const existed = this.patterns.delete(name);
+    if (existed) {
+      this.save();
+    }
+    return existed;
+  }
+}
+
+module.exports = {
+  PatternLibrary,
+  expandPattern,
+  MAX_PATTERN_STEPS,
+  MAX_PATTERN_DURATION
+};
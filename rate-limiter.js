@@ -0,0 +1,116 @@
+// Cooldowns and rolling shock budgets for broadcasts
+// Budgets are measured in shock-milliseconds: vibrate broadcasts only count against cooldowns
+// A pattern costs the sum of its shock steps
+
+class BroadcastRateLimiter {
+  constructor(options = {}) {
+    this.globalCooldownMs = options.globalCooldownMs || 0;
+    this.keyCooldownMs = options.keyCooldownMs || 0;
+    this.budgetWindowMs = options.budgetWindowMs || 60 * 60 * 1000;
+    this.globalBudgetMs = options.globalBudgetMs || 0;
+    this.keyBudgetMs = options.keyBudgetMs || 0;
+
+    this.lastGlobalBroadcastAt = null;
+    this.lastKeyBroadcastAt = new Map(); // Map of key id -> timestamp
+    this.globalHistory = []; // Array of { at, cost }
+    this.keyHistory = new Map(); // Map of key id -> Array of { at, cost }
+  }
+
+  // Cost of a broadcast against the shock budget
+  static getCost(type, duration) {
+    return type === 'shock' ? parseInt(duration) : 0;
+  }
+
+  // Drop history entries that have left the rolling window
+  prune(history, now) {
+    const windowStart = now - this.budgetWindowMs;
+    while (history.length > 0 && history[0].at <= windowStart) {
+      history.shift();
+    }
+    return history;
+  }
+
+  // Milliseconds until enough budget frees up for the given cost (0 if it fits now)
+  budgetWait(history, budget, cost, now) {
+    if (!budget || cost === 0) {
+      return 0;
+    }
+    let used = history.reduce((sum, entry) => sum + entry.cost, 0);
+    if (used + cost <= budget) {
+      return 0;
+    }
+    for (const entry of history) {
+      used -= entry.cost;
+      if (used + cost <= budget) {
+        return entry.at + this.budgetWindowMs - now;
+      }
+    }
+    return this.budgetWindowMs;
+  }
+
+  // Check whether a broadcast costing `cost` shock-ms (see getCost) may run now
+  // Returns { allowed: true } or { allowed: false, reason, retryAfterMs }
+  // A cost larger than a whole budget can never fit, so it returns { allowed: false, tooLarge: true, reason } without a retry time
+  check(keyId, cost, now = Date.now()) {
+    if (this.globalBudgetMs && cost > this.globalBudgetMs) {
+      return { allowed: false, reason: `Broadcast of ${cost} shock-ms exceeds the global budget of ${this.globalBudgetMs} shock-ms`, tooLarge: true };
+    }
+    if (keyId && this.keyBudgetMs && cost > this.keyBudgetMs) {
+      return { allowed: false, reason: `Broadcast of ${cost} shock-ms exceeds the per-key budget of ${this.keyBudgetMs} shock-ms`, tooLarge: true };
+    }
+
+    if (this.globalCooldownMs && this.lastGlobalBroadcastAt) {
+      const wait = this.lastGlobalBroadcastAt + this.globalCooldownMs - now;
+      if (wait > 0) {
+        return { allowed: false, reason: 'Global broadcast cooldown active', retryAfterMs: wait };
+      }
+    }
+
+    if (keyId && this.keyCooldownMs && this.lastKeyBroadcastAt.has(keyId)) {
+      const wait = this.lastKeyBroadcastAt.get(keyId) + this.keyCooldownMs - now;
+      if (wait > 0) {
+        return { allowed: false, reason: 'API key broadcast cooldown active', retryAfterMs: wait };
+      }
+    }
+
+    const globalWait = this.budgetWait(this.prune(this.globalHistory, now), this.globalBudgetMs, cost, now);
+    if (globalWait > 0) {
+      return { allowed: false, reason: `Global shock budget of ${this.globalBudgetMs} shock-ms exhausted`, retryAfterMs: globalWait };
+    }
+
+    if (keyId && this.keyHistory.has(keyId)) {
+      const keyWait = this.budgetWait(this.prune(this.keyHistory.get(keyId), now), this.keyBudgetMs, cost, now);
+      if (keyWait > 0) {
+        return { allowed: false, reason: `API key shock budget of ${this.keyBudgetMs} shock-ms exhausted`, retryAfterMs: keyWait };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // Record a broadcast that is going ahead
+  record(keyId, cost, now = Date.now()) {
+    this.lastGlobalBroadcastAt = now;
+    this.globalHistory.push({ at: now, cost });
+
+    if (keyId) {
+      this.lastKeyBroadcastAt.set(keyId, now);
+      if (!this.keyHistory.has(keyId)) {
+        this.keyHistory.set(keyId, []);
+      }
+      this.keyHistory.get(keyId).push({ at: now, cost });
+    }
+  }
+
+  // Current usage, for status endpoints and logging
+  getUsage(keyId, now = Date.now()) {
+    const sum = (history) => this.prune(history, now).reduce((total, entry) => total + entry.cost, 0);
+    return {
+      windowMs: this.budgetWindowMs,
+      global: { used: sum(this.globalHistory), budget: this.globalBudgetMs || null },
+      key: keyId ? { used: sum(this.keyHistory.get(keyId) || []), budget: this.keyBudgetMs || null } : null
+    };
+  }
+}
+
+module.exports = BroadcastRateLimiter;
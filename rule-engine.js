@@ -0,0 +1,473 @@
+const { DEFAULT_CHANNEL, isValidChannel } = require('./channels');
+const { logger } = require('./logger');
+
+// Events a rule can react to
+// sub_gained: a follower/subscriber count went up (size = the increase)
+// milestone: a count passed its previous peak across one of the rule's milestones (size = milestones crossed)
+// webhook: an inbound event was posted (size = its amount, default 1)
+// follow, subscription, gift_sub, bits, redemption: Twitch EventSub notifications (size = their amount, default 1)
+// schedule: the rule's interval elapsed (size = 1)
+const AMOUNT_EVENTS = ['webhook', 'follow', 'subscription', 'gift_sub', 'bits', 'redemption'];
+const RULE_EVENTS = ['sub_gained', 'milestone', ...AMOUNT_EVENTS, 'schedule'];
+const RULE_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MIN_SCHEDULE_INTERVAL = 60;
+// How often schedule rules are checked
+const SCHEDULE_TICK_MS = 15000;
+
+// Minutes since midnight for "HH:MM"
+const parseTime = (value) => {
+  const match = TIME_REGEX.exec(value);
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+// Validate a rule definition: { event, conditions, milestone, schedule, action, enabled, description }
+// validateIntensity/validateTime are the server's 0-100 / 300-30000ms rules, hasPattern checks the pattern library
+// Returns { valid: true, rule } (normalized) or { valid: false, message }
+const validateRule = (definition, { validateIntensity, validateTime, hasPattern }) => {
+  const { event, conditions = {}, milestone, schedule, action, enabled = true, description = '' } = definition;
+
+  if (!RULE_EVENTS.includes(event)) {
+    return { valid: false, message: `event must be one of: ${RULE_EVENTS.join(', ')}` };
+  }
+  if (typeof description !== 'string' || description.length > 200) {
+    return { valid: false, message: 'description must be a string of at most 200 characters' };
+  }
+  if (typeof enabled !== 'boolean') {
+    return { valid: false, message: 'enabled must be true or false' };
+  }
+
+  // Event settings
+  let milestoneSettings = null;
+  if (event === 'milestone') {
+    if (!milestone || typeof milestone !== 'object') {
+      return { valid: false, message: 'milestone rules need milestone: { every } or milestone: { values }' };
+    }
+    if (milestone.every !== undefined) {
+      if (!Number.isInteger(milestone.every) || milestone.every < 1) {
+        return { valid: false, message: 'milestone.every must be a positive integer' };
+      }
+      milestoneSettings = { every: milestone.every };
+    } else if (Array.isArray(milestone.values) && milestone.values.length > 0 && milestone.values.every(value => Number.isInteger(value) && value > 0)) {
+      milestoneSettings = { values: Array.from(new Set(milestone.values)).sort((a, b) => a - b) };
+    } else {
+      return { valid: false, message: 'milestone.values must be a non-empty array of positive integers' };
+    }
+  }
+  let scheduleSettings = null;
+  if (event === 'schedule') {
+    if (!schedule || !Number.isInteger(schedule.intervalSeconds) || schedule.intervalSeconds < MIN_SCHEDULE_INTERVAL) {
+      return { valid: false, message: `schedule rules need schedule: { intervalSeconds } of at least ${MIN_SCHEDULE_INTERVAL}` };
+    }
+    scheduleSettings = { intervalSeconds: schedule.intervalSeconds };
+  }
+
+  // Conditions
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return { valid: false, message: 'conditions must be an object' };
+  }
+  const { source, reward, minSize, maxSize, cooldownSeconds, timeWindow } = conditions;
+  if (source !== undefined && (typeof source !== 'string' || source.length === 0 || source.length > 64)) {
+    return { valid: false, message: 'conditions.source must be a string of at most 64 characters' };
+  }
+  if (reward !== undefined && (event !== 'redemption' || typeof reward !== 'string' || reward.length === 0 || reward.length > 100)) {
+    return { valid: false, message: 'conditions.reward must be a reward title of at most 100 characters (redemption rules only)' };
+  }
+  if ((minSize !== undefined && !isNonNegativeNumber(minSize)) || (maxSize !== undefined && !isNonNegativeNumber(maxSize))) {
+    return { valid: false, message: 'conditions.minSize and conditions.maxSize must be non-negative numbers' };
+  }
+  if (minSize !== undefined && maxSize !== undefined && minSize > maxSize) {
+    return { valid: false, message: 'conditions.minSize cannot be greater than conditions.maxSize' };
+  }
+  if (cooldownSeconds !== undefined && !isNonNegativeNumber(cooldownSeconds)) {
+    return { valid: false, message: 'conditions.cooldownSeconds must be a non-negative number' };
+  }
+  let window;
+  if (timeWindow !== undefined) {
+    if (!timeWindow || parseTime(timeWindow.start) === null || parseTime(timeWindow.end) === null) {
+      return { valid: false, message: 'conditions.timeWindow needs start and end as "HH:MM" (server local time)' };
+    }
+    if (timeWindow.days !== undefined && !(Array.isArray(timeWindow.days) && timeWindow.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      return { valid: false, message: 'conditions.timeWindow.days must be an array of weekdays 0-6 (0 = Sunday)' };
+    }
+    window = { start: timeWindow.start, end: timeWindow.end, days: timeWindow.days };
+  }
+
+  // Action: a single broadcast or a pattern, sent to one channel
+  if (!action || typeof action !== 'object') {
+    return { valid: false, message: 'action must be an object' };
+  }
+  const channel = action.channel === undefined ? DEFAULT_CHANNEL : action.channel;
+  if (!isValidChannel(channel)) {
+    return { valid: false, message: 'action.channel must be 1-32 letters, digits, "-" or "_"' };
+  }
+  let normalizedAction;
+  if (action.pattern !== undefined) {
+    if (typeof action.pattern !== 'string' || !hasPattern(action.pattern)) {
+      return { valid: false, message: `action.pattern "${action.pattern}" not found` };
+    }
+    if (action.scale !== undefined) {
+      return { valid: false, message: 'action.scale cannot be used with patterns' };
+    }
+    normalizedAction = { pattern: action.pattern, channel: channel.toLowerCase() };
+  } else {
+    if (!['shock', 'vibrate'].includes(action.type)) {
+      return { valid: false, message: 'action.type must be either "shock" or "vibrate"' };
+    }
+    if (!validateIntensity(action.intensity)) {
+      return { valid: false, message: 'action.intensity must be a number between 0 and 100' };
+    }
+    if (!validateTime(action.duration)) {
+      return { valid: false, message: 'action.duration must be a number between 300 and 30000 milliseconds' };
+    }
+    normalizedAction = {
+      type: action.type,
+      intensity: parseInt(action.intensity),
+      duration: parseInt(action.duration),
+      channel: channel.toLowerCase()
+    };
+
+    // Scaling adds per-unit amounts for every unit of event size beyond the first
+    if (action.scale !== undefined) {
+      const scale = action.scale;
+      if (!scale || typeof scale !== 'object') {
+        return { valid: false, message: 'action.scale must be an object' };
+      }
+      const fields = ['intensity', 'duration', 'maxIntensity', 'maxDuration'];
+      if (fields.some(field => scale[field] !== undefined && !isNonNegativeNumber(scale[field]))) {
+        return { valid: false, message: `action.scale.${fields.join('/')} must be non-negative numbers` };
+      }
+      if (scale.maxIntensity !== undefined && !validateIntensity(scale.maxIntensity)) {
+        return { valid: false, message: 'action.scale.maxIntensity must be a number between 0 and 100' };
+      }
+      if (scale.maxDuration !== undefined && !validateTime(scale.maxDuration)) {
+        return { valid: false, message: 'action.scale.maxDuration must be a number between 300 and 30000 milliseconds' };
+      }
+      normalizedAction.scale = {
+        intensity: scale.intensity || 0,
+        duration: scale.duration || 0,
+        maxIntensity: scale.maxIntensity !== undefined ? scale.maxIntensity : 100,
+        maxDuration: scale.maxDuration !== undefined ? scale.maxDuration : 30000
+      };
+    }
+  }
+
+  return {
+    valid: true,
+    rule: {
+      description,
+      enabled,
+      event,
+      milestone: milestoneSettings,
+      schedule: scheduleSettings,
+      conditions: {
+        source,
+        reward,
+        minSize,
+        maxSize,
+        cooldownSeconds,
+        timeWindow: window
+      },
+      action: normalizedAction
+    }
+  };
+};
+
+// Event sources match exactly, or by prefix before ":" ("youtube" matches "youtube:main")
+const matchesSource = (expected, source) => (
+  typeof source === 'string' && (source === expected || source.startsWith(`${expected}:`))
+);
+
+// Whether a date falls inside a rule's time window (windows may wrap past midnight)
+const inTimeWindow = (timeWindow, date) => {
+  if (timeWindow.days && !timeWindow.days.includes(date.getDay())) {
+    return false;
+  }
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = parseTime(timeWindow.start);
+  const end = parseTime(timeWindow.end);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+// Milestones crossed going from previous to count (exclusive of previous, inclusive of count)
+const crossedMilestones = (milestone, previous, count) => {
+  if (count <= previous) {
+    return [];
+  }
+  if (milestone.every) {
+    const crossed = [];
+    for (let value = (Math.floor(previous / milestone.every) + 1) * milestone.every; value <= count && crossed.length < 100; value += milestone.every) {
+      crossed.push(value);
+    }
+    return crossed;
+  }
+  return milestone.values.filter(value => value > previous && value <= count);
+};
+
+// Event-to-action rules, persisted in the storage backend's "rules" document
+// Firing state (counts, cooldowns and schedules) is kept in "rule-state" so it survives restarts
+// execute(action, context) performs a rule's action and resolves with the broadcast/pattern result
+class RuleEngine {
+  constructor({ storage, execute, validateIntensity, validateTime, hasPattern }) {
+    this.storage = storage;
+    this.execute = execute;
+    this.validators = { validateIntensity, validateTime, hasPattern };
+    this.rules = new Map(); // Map of name -> { name, description, enabled, event, milestone, schedule, conditions, action, createdAt, updatedAt }
+    this.state = new Map(); // Map of name -> { lastFiredAt, lastScheduledAt, fired, lastResult }
+    this.scheduleTimer = null;
+  }
+
+  // Load stored rules, or store seed rules on first run (e.g. migrated from environment variables)
+  // Returns { loaded, seeded }
+  load(seed = []) {
+    const stored = this.storage.read('rules');
+    if (!stored) {
+      seed.forEach(({ name, ...definition }) => {
+        const result = this.put(name, definition, { create: true, persist: false });
+        if (!result.valid) {
+          logger.warn(`⚠️  Skipping rule "${name}": ${result.message}`);
+        }
+      });
+      if (this.rules.size > 0) {
+        this.save();
+      }
+      return { loaded: this.rules.size, seeded: this.rules.size };
+    }
+
+    const storedState = (this.storage.read('rule-state') || {}).rules || {};
+    (stored.rules || []).forEach(rule => {
+      // Patterns referenced by a rule may have been deleted since
+      const result = validateRule(rule, this.validators);
+      if (!result.valid) {
+        logger.warn(`⚠️  Loaded rule "${rule.name}" is invalid and disabled: ${result.message}`);
+        rule.enabled = false;
+      }
+      this.rules.set(rule.name, rule);
+      // A schedule that came due while the server was down fires once on the next tick
+      this.state.set(rule.name, { lastScheduledAt: Date.now(), ...storedState[rule.name] });
+    });
+    return { loaded: this.rules.size, seeded: 0 };
+  }
+
+  save() {
+    this.storage.write('rules', { rules: Array.from(this.rules.values()) });
+    this.saveState();
+  }
+
+  // Called from the schedule timer and while events are handled, so a failed write is logged rather than thrown
+  saveState() {
+    try {
+      this.storage.write('rule-state', { rules: Object.fromEntries(this.state) });
+    } catch (error) {
+      logger.error(`❌ Could not save rule state: ${error.message}`);
+    }
+  }
+
+  list() {
+    return Array.from(this.rules.values()).map(rule => this.describe(rule));
+  }
+
+  get(name) {
+    return this.rules.get(name) || null;
+  }
+
+  // Public view of a rule with its firing state
+  describe(rule) {
+    const state = this.state.get(rule.name) || {};
+    return {
+      ...rule,
+      fired: state.fired || 0,
+      lastFiredAt: state.lastFiredAt ? new Date(state.lastFiredAt).toISOString() : null,
+      lastResult: state.lastResult || null
+    };
+  }
+
+  // Create or replace a rule, returns { valid, message } or { valid, rule }
+  put(name, definition, { create, persist = true }) {
+    if (typeof name !== 'string' || !RULE_NAME_REGEX.test(name)) {
+      return { valid: false, message: 'Rule name must be 1-64 letters, digits, "-" or "_"' };
+    }
+    if (create && this.rules.has(name)) {
+      return { valid: false, conflict: true, message: `Rule "${name}" already exists` };
+    }
+    if (!create && !this.rules.has(name)) {
+      return { valid: false, notFound: true, message: `Rule "${name}" not found` };
+    }
+
+    const result = validateRule(definition, this.validators);
+    if (!result.valid) {
+      return result;
+    }
+
+    const now = new Date().toISOString();
+    const existing = this.rules.get(name);
+    const rule = {
+      name,
+      ...result.rule,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    this.rules.set(name, rule);
+    // A changed schedule starts counting from now
+    this.state.set(name, { ...this.state.get(name), lastScheduledAt: Date.now() });
+    if (persist) {
+      this.save();
+    }
+    return { valid: true, rule };
+  }
+
+  delete(name) {
+    const existed = this.rules.delete(name);
+    if (existed) {
+      this.state.delete(name);
+      this.save();
+    }
+    return existed;
+  }
+
+  // Check a rule against an event, returns { size, details } when it matches or null
+  // data: { source, previous, count, peak } for count events (peak = highest count before this one),
+  // { source, amount, reward } for webhook and Twitch events
+  match(rule, event, data, now) {
+    let size = 1;
+    let details = {};
+    if (rule.event === 'sub_gained' && event === 'sub_gained') {
+      size = data.count - data.previous;
+      if (size <= 0) {
+        return null;
+      }
+    } else if (rule.event === 'milestone' && event === 'sub_gained') {
+      // Measure from the peak so milestones do not fire again after a dip
+      const from = data.peak !== undefined && data.peak !== null ? data.peak : data.previous;
+      const crossed = crossedMilestones(rule.milestone, from, data.count);
+      if (crossed.length === 0) {
+        return null;
+      }
+      size = crossed.length;
+      details = { milestone: crossed[crossed.length - 1] };
+    } else if (AMOUNT_EVENTS.includes(event) && rule.event === event) {
+      size = data.amount !== undefined ? data.amount : 1;
+    } else if (rule.event !== 'schedule' || event !== 'schedule') {
+      return null;
+    }
+
+    const { source, reward, minSize, maxSize, cooldownSeconds, timeWindow } = rule.conditions;
+    if (source !== undefined && !matchesSource(source, data.source)) {
+      return null;
+    }
+    if (reward !== undefined && (typeof data.reward !== 'string' || data.reward.toLowerCase() !== reward.toLowerCase())) {
+      return null;
+    }
+    if ((minSize !== undefined && size < minSize) || (maxSize !== undefined && size > maxSize)) {
+      return null;
+    }
+    if (timeWindow && !inTimeWindow(timeWindow, new Date(now))) {
+      return null;
+    }
+    const state = this.state.get(rule.name);
+    if (cooldownSeconds && state && state.lastFiredAt && now - state.lastFiredAt < cooldownSeconds * 1000) {
+      return null;
+    }
+    return { size, details };
+  }
+
+  // Apply scaling to a rule's action for an event size
+  static resolveAction(action, size) {
+    if (!action.scale) {
+      return action;
+    }
+    const extra = Math.max(0, size - 1);
+    const { scale, ...resolved } = action;
+    resolved.intensity = Math.round(Math.min(Math.max(scale.maxIntensity, action.intensity), action.intensity + scale.intensity * extra));
+    resolved.duration = Math.round(Math.min(Math.max(scale.maxDuration, action.duration), action.duration + scale.duration * extra));
+    return resolved;
+  }
+
+  // Evaluate every enabled rule for an event and run the matching actions
+  // allowRule(rule) can veto rules (e.g. channels the caller may not use)
+  // Resolves with [{ rule, action, size, result }] for the rules that fired
+  async handle(event, data = {}, { allowRule } = {}) {
+    const now = Date.now();
+    const fired = [];
+    this.rules.forEach(rule => {
+      if (!rule.enabled || (allowRule && !allowRule(rule))) {
+        return;
+      }
+      const matched = this.match(rule, event, data, now);
+      if (!matched) {
+        return;
+      }
+      const state = this.state.get(rule.name) || {};
+      this.state.set(rule.name, { ...state, lastFiredAt: now, fired: (state.fired || 0) + 1 });
+      fired.push({ rule, action: RuleEngine.resolveAction(rule.action, matched.size), size: matched.size, details: matched.details });
+    });
+    if (fired.length === 0) {
+      return [];
+    }
+    // Store cooldowns before running the actions
+    this.saveState();
+
+    const results = await Promise.all(fired.map(async ({ rule, action, size, details }) => {
+      let result;
+      try {
+        result = await this.execute(action, { rule: rule.name, event, size, ...details });
+      } catch (error) {
+        result = { success: false, error: 'Rule failed', message: error.message };
+      }
+      const state = this.state.get(rule.name);
+      if (state) {
+        state.lastResult = { at: new Date().toISOString(), success: !!result.success, message: result.message };
+      }
+      return { rule: rule.name, action, size, ...details, result };
+    }));
+    this.saveState();
+    return results;
+  }
+
+  // Fire schedule rules whose interval has elapsed
+  tick(now = Date.now()) {
+    const due = Array.from(this.rules.values()).filter(rule => {
+      if (!rule.enabled || rule.event !== 'schedule') {
+        return false;
+      }
+      const state = this.state.get(rule.name) || {};
+      return !state.lastScheduledAt || now - state.lastScheduledAt >= rule.schedule.intervalSeconds * 1000;
+    });
+    if (due.length === 0) {
+      return null;
+    }
+    due.forEach(rule => {
+      this.state.set(rule.name, { ...this.state.get(rule.name), lastScheduledAt: now });
+    });
+    this.saveState();
+    const names = new Set(due.map(rule => rule.name));
+    return this.handle('schedule', { source: 'schedule' }, { allowRule: rule => names.has(rule.name) });
+  }
+
+  startSchedule() {
+    if (this.scheduleTimer) {
+      return;
+    }
+    this.scheduleTimer = setInterval(() => {
+      const ticked = this.tick();
+      if (ticked) {
+        ticked.catch(error => logger.error(`❌ Scheduled rule error: ${error.message}`));
+      }
+    }, SCHEDULE_TICK_MS);
+    this.scheduleTimer.unref();
+  }
+
+  stopSchedule() {
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  RuleEngine,
+  RULE_EVENTS
+};
@@ -14,16 +14,156 @@ const {
   initializeACME, 
   hasValidCertificate, 
   getSSLOptions,
-  requestCertificate 
+  requestCertificate,
+  configureACME
 } = require('./letsencrypt-config');
+const BroadcastRateLimiter = require('./rate-limiter');
+const { DEFAULT_DRIVER, createDeviceDrivers, probeOpenShockApi } = require('./drivers');
+const { BroadcastQueue } = require('./broadcast-queue');
+const { PatternLibrary } = require('./pattern-library');
+const { AuditLog } = require('./audit-log');
+const { ApiKeyStore, getKeyId } = require('./api-key-store');
+const { SubscriberSessions } = require('./subscriber-sessions');
+const { DEFAULT_CHANNEL, isValidChannel, parseChannels } = require('./channels');
+const { RuleEngine } = require('./rule-engine');
+const { YouTubeMonitor, parseMonitorChannels } = require('./youtube-monitor');
+const { EventSubReceiver, mapNotification } = require('./twitch-eventsub');
+const { WebhookEndpoints, mapAmount } = require('./webhook-endpoints');
+const { OutboundWebhooks, OUTBOUND_EVENTS } = require('./outbound-webhooks');
+const { loadConfig, mergeReload } = require('./config');
+const { FileStorage } = require('./storage');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { logger, Logger, LOG_LEVELS, LOG_FORMATS } = require('./logger');
+
+// Settings from config.json, overridden by environment variables (see CONFIG_SCHEMA in config.js)
+// Invalid settings stop the server here; SIGHUP reloads everything except listener and file settings
+const CONFIG_FILE = path.resolve(__dirname, process.env.CONFIG_FILE || 'config.json');
+const initialConfig = loadConfig({ filePath: CONFIG_FILE });
+if (!initialConfig.valid) {
+  logger.error(`❌ Invalid configuration (${CONFIG_FILE} and environment variables):`);
+  initialConfig.errors.forEach(error => logger.error(`   - ${error}`));
+  process.exit(1);
+}
+let config = initialConfig.config;
+logger.configure(config.logging);
+configureACME(config.acme);
+logger.info(`🔧 Config: ${fs.existsSync(CONFIG_FILE) ? CONFIG_FILE : 'no config file'}, ${Object.values(initialConfig.sources).filter(source => source === 'env').length} setting(s) from environment variables`);
+if (!config.acme.email && config.server.domain !== 'localhost') {
+  logger.warn('⚠️  acme.email (LE_EMAIL) is not set: Let\'s Encrypt certificates cannot be requested');
+}
+
+// Persistent state (API keys, rules, patterns, webhooks, counts and the audit log), written atomically
+// storage.dir is relative to the server directory; the audit log keeps its own file name
+const storage = new FileStorage({
+  dir: path.resolve(__dirname, config.storage.dir),
+  files: { audit: config.audit.file }
+});
+
+// Prometheus metrics for GET /metrics (gauges are read from the live state when scraped)
+const metrics = new MetricsRegistry();
+const broadcastCounter = metrics.counter({
+  name: 'shocker_broadcasts_total',
+  help: 'Broadcasts and patterns by source (api, rule, webhook, twitch...), type and result (success or the error)',
+  labelNames: ['source', 'type', 'result']
+});
+const openShockRequestCounter = metrics.counter({
+  name: 'shocker_openshock_requests_total',
+  help: 'OpenShock control requests by HTTP status code ("error" for network errors and timeouts)',
+  labelNames: ['status']
+});
+const openShockLatency = metrics.histogram({
+  name: 'shocker_openshock_request_duration_seconds',
+  help: 'OpenShock control request latency',
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+const authFailureCounter = metrics.counter({
+  name: 'shocker_auth_failures_total',
+  help: 'Rejected API keys and invites by interface (http or websocket) and reason',
+  labelNames: ['interface', 'reason']
+});
+metrics.counter({
+  name: 'shocker_youtube_polls_total',
+  help: 'YouTube channel polls by channel and result',
+  collect: () => youtubeMonitor ? youtubeMonitor.getStatus().channels.reduce((samples, channel) => samples.concat([
+    { labels: { channel: channel.name, result: 'success' }, value: channel.polls.succeeded },
+    { labels: { channel: channel.name, result: 'failure' }, value: channel.polls.failed }
+  ]), []) : []
+});
+metrics.gauge({
+  name: 'shocker_youtube_subscribers',
+  help: 'Last polled YouTube subscriber count by channel',
+  collect: () => youtubeMonitor ? youtubeMonitor.getStatus().channels
+    .filter(channel => channel.lastCount !== null)
+    .map(channel => ({ labels: { channel: channel.name }, value: channel.lastCount })) : []
+});
+metrics.gauge({
+  name: 'shocker_websocket_clients',
+  help: 'Connected WebSocket clients by transport (ws or wss)',
+  collect: () => ['ws', 'wss'].map(transport => ({
+    labels: { transport },
+    value: Array.from(connectionInfo.values()).filter(info => (info.secure ? 'wss' : 'ws') === transport).length
+  }))
+});
+metrics.gauge({
+  name: 'shocker_broadcast_subscribers',
+  help: 'Broadcast subscribers by transport (ws or wss) and device driver',
+  collect: () => {
+    const counts = new Map();
+    broadcastSubscribers.forEach((subscriberData, ws) => {
+      const info = connectionInfo.get(ws);
+      const key = `${info && info.secure ? 'wss' : 'ws'} ${subscriberData.driver}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return Array.from(counts.entries()).map(([key, value]) => {
+      const [transport, driver] = key.split(' ');
+      return { labels: { transport, driver }, value };
+    });
+  }
+});
+metrics.gauge({
+  name: 'shocker_certificate_expiry_days',
+  help: 'Days until the HTTPS certificate in use expires',
+  collect: () => {
+    const certificate = getCertificateInfo();
+    return certificate ? [{ labels: { domain, source: certificate.source }, value: certificate.daysLeft }] : [];
+  }
+});
 
 const app = express();
-const HTTP_PORT = process.env.HTTP_PORT || 80;
-const HTTPS_PORT = process.env.HTTPS_PORT || 443;
+const HTTP_PORT = config.server.httpPort;
+const HTTPS_PORT = config.server.httpsPort;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Allowed origins are read per request so a reload applies right away
+app.use(cors({
+  origin: (origin, callback) => {
+    const origins = config.cors.origins;
+    callback(null, !origin || origins.includes('*') || origins.includes(origin));
+  }
+}));
+// Keep the raw body for webhook signature checks
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
+// Form posts (e.g. Ko-fi webhooks)
+app.use(express.urlencoded({ extended: false, verify: keepRawBody }));
+
+// Every request gets an id (a well-formed incoming X-Request-Id is kept) that is attached to its log lines,
+// including those of the broadcasts and device calls it triggers
+// Registered after the body parsers, whose stream callbacks would lose the context
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && /^[A-Za-z0-9._-]{1,64}$/.test(incoming) ? incoming : Logger.newRequestId();
+  const startedAt = Date.now();
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    logger.runWithContext({ requestId }, () => {
+      logger.debug(`${req.method} ${req.originalUrl} ${res.statusCode} in ${Date.now() - startedAt}ms`);
+    });
+  });
+  logger.runWithContext({ requestId }, next);
+});
 
 // Serve ACME challenge files for Let's Encrypt
 app.use('/.well-known/acme-challenge', express.static(path.join(__dirname, 'public', '.well-known', 'acme-challenge')));
@@ -45,7 +185,10 @@ let shockerState = {
 let wssHttp = null;
 let wssHttps = null;
 const connectedClients = new Set();
-// Map of WebSocket -> {apiKey, openshockToken, shockers: []}
+// Map of WebSocket -> {id, address, port, secure, connectedAt, adminKeyId} for admin listings
+const connectionInfo = new Map();
+let nextClientId = 1;
+// Map of WebSocket -> {keyId, driver, driverConfig, shockers: [], limits, lastHitAt, muted, sessionId, resumeToken}
 const broadcastSubscribers = new Map();
 
 // WebSocket message types
@@ -60,7 +203,42 @@ const WS_MESSAGE_TYPES = {
   SUBSCRIBE_BROADCAST: 'subscribe_broadcast',
   UNSUBSCRIBE_BROADCAST: 'unsubscribe_broadcast',
   SUBSCRIBED: 'subscribed',
-  UNSUBSCRIBED: 'unsubscribed'
+  UNSUBSCRIBED: 'unsubscribed',
+  SIMULATED_COMMAND: 'simulated_command',
+  BROADCAST_RESULT: 'broadcast_result',
+  QUEUE_STATUS: 'queue_status',
+  EMERGENCY_STOP: 'emergency_stop',
+  REARMED: 'rearmed',
+  ACCESS_REVOKED: 'access_revoked',
+  RESUME_SUBSCRIPTION: 'resume_subscription',
+  RESUMED: 'resumed',
+  MUTED: 'muted',
+  UNMUTED: 'unmuted',
+  ADMIN_AUTH: 'admin_auth',
+  ADMIN_COMMAND: 'admin_command',
+  ADMIN_RESULT: 'admin_result'
+};
+
+// Application-defined WebSocket close codes (4000-4999)
+// Oversized messages are closed by ws itself with the standard 1009 (Message Too Big)
+const WS_CLOSE_CODES = {
+  HEARTBEAT_TIMEOUT: 4000,
+  KICKED: 4001,
+  ACCESS_REVOKED: 4003,
+  SESSION_RESUMED_ELSEWHERE: 4004,
+  MESSAGE_RATE_EXCEEDED: 4029
+};
+
+// WebSocket connection limits come from config.websocket
+// Clients that do not complete the close handshake in time are terminated
+const WS_CLOSE_TIMEOUT_MS = 5000;
+
+// Emergency stop lockout: while locked, every broadcast is rejected until an admin re-arms
+let broadcastLockout = {
+  locked: false,
+  lockedAt: null,
+  source: null,
+  reason: null
 };
 
 // Validation functions
@@ -74,51 +252,239 @@ const validateTime = (time) => {
   return !isNaN(num) && num >= 300 && num <= 30000;
 };
 
+// Default per-subscriber safety limits (no restriction beyond the global rules)
+const BROADCAST_TYPES = ['shock', 'vibrate'];
+const DEFAULT_SUBSCRIBER_LIMITS = {
+  maxIntensity: 100,
+  maxDuration: 30000,
+  allowedTypes: BROADCAST_TYPES,
+  minInterval: 0
+};
+
+// Parse the optional limits object from a subscribe_broadcast message
+// Returns { valid: true, limits } or { valid: false, message }
+const parseSubscriberLimits = (limits) => {
+  if (limits === undefined || limits === null) {
+    return { valid: true, limits: { ...DEFAULT_SUBSCRIBER_LIMITS } };
+  }
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    return { valid: false, message: 'Limits must be an object' };
+  }
+
+  const parsed = { ...DEFAULT_SUBSCRIBER_LIMITS };
+
+  if (limits.maxIntensity !== undefined) {
+    if (!validateIntensity(limits.maxIntensity)) {
+      return { valid: false, message: 'limits.maxIntensity must be a number between 0 and 100' };
+    }
+    parsed.maxIntensity = parseInt(limits.maxIntensity);
+  }
+
+  if (limits.maxDuration !== undefined) {
+    if (!validateTime(limits.maxDuration)) {
+      return { valid: false, message: 'limits.maxDuration must be a number between 300 and 30000 milliseconds' };
+    }
+    parsed.maxDuration = parseInt(limits.maxDuration);
+  }
+
+  if (limits.allowedTypes !== undefined) {
+    const types = Array.isArray(limits.allowedTypes)
+      ? limits.allowedTypes
+      : String(limits.allowedTypes).split(',');
+    const allowedTypes = types.map(t => String(t).trim().toLowerCase()).filter(t => t.length > 0);
+    if (allowedTypes.length === 0 || !allowedTypes.every(t => BROADCAST_TYPES.includes(t))) {
+      return { valid: false, message: 'limits.allowedTypes must contain "shock" and/or "vibrate"' };
+    }
+    parsed.allowedTypes = Array.from(new Set(allowedTypes));
+  }
+
+  if (limits.minInterval !== undefined) {
+    const minInterval = parseInt(limits.minInterval);
+    if (isNaN(minInterval) || minInterval < 0 || minInterval > 86400000) {
+      return { valid: false, message: 'limits.minInterval must be a number of milliseconds between 0 and 86400000' };
+    }
+    parsed.minInterval = minInterval;
+  }
+
+  return { valid: true, limits: parsed };
+};
+
+// Combine the limits of every subscriber sharing a device group (most restrictive wins)
+const mergeSubscriberLimits = (limitsList) => {
+  return limitsList.reduce((merged, limits) => ({
+    maxIntensity: Math.min(merged.maxIntensity, limits.maxIntensity),
+    maxDuration: Math.min(merged.maxDuration, limits.maxDuration),
+    allowedTypes: merged.allowedTypes.filter(t => limits.allowedTypes.includes(t)),
+    minInterval: Math.max(merged.minInterval, limits.minInterval)
+  }), { ...DEFAULT_SUBSCRIBER_LIMITS });
+};
+
+// Decide what a device group actually receives for a broadcast
+// Returns { skipped, reason, intensity, duration, clamped }
+const applySubscriberLimits = (limits, lastHitAt, intensity, duration, type, now) => {
+  if (!limits.allowedTypes.includes(type)) {
+    return { skipped: true, reason: `Type "${type}" not allowed by subscriber limits`, clamped: false };
+  }
+
+  if (lastHitAt && limits.minInterval > 0 && now - lastHitAt < limits.minInterval) {
+    return {
+      skipped: true,
+      reason: `Minimum interval of ${limits.minInterval}ms not elapsed (${now - lastHitAt}ms since last hit)`,
+      clamped: false
+    };
+  }
+
+  const appliedIntensity = Math.min(parseInt(intensity), limits.maxIntensity);
+  const appliedDuration = Math.min(parseInt(duration), limits.maxDuration);
+  return {
+    skipped: false,
+    intensity: appliedIntensity,
+    duration: appliedDuration,
+    clamped: appliedIntensity !== parseInt(intensity) || appliedDuration !== parseInt(duration)
+  };
+};
+
 // API Key management
-const apiKeys = new Set();
+// Keys are stored hashed in api-keys.json; a legacy api-keys.txt is migrated on first start
+const apiKeyStore = new ApiKeyStore({
+  storage,
+  legacyFilePath: path.join(__dirname, 'api-keys.txt')
+});
+
+// Why the key store could not be loaded (null when it loaded), reported by /health and /ready
+let apiKeyStoreError = null;
+
 const loadApiKeys = () => {
   try {
-    const keysPath = path.join(__dirname, 'api-keys.txt');
-    
-    if (fs.existsSync(keysPath)) {
-      const keysContent = fs.readFileSync(keysPath, 'utf8');
-      const keys = keysContent.split('\n')
-        .map(key => key.trim())
-        .filter(key => key.length > 0);
-      
-      keys.forEach(key => apiKeys.add(key));
-      console.log(`🔑 Loaded ${apiKeys.size} API keys`);
-    } else {
-      console.log('⚠️  No API keys file found. Creating default keys...');
-      generateDefaultKeys();
+    const { loaded, migrated, generated } = apiKeyStore.load();
+    apiKeyStoreError = null;
+    if (migrated > 0) {
+      logger.info(`🔑 Migrated ${migrated} API key(s) from api-keys.txt to api-keys.json with the admin scope`);
+      logger.info('   The original file was renamed to api-keys.txt.migrated - delete it once you no longer need it');
+    }
+    if (generated) {
+      // The key bypasses the logger (which would redact it) and is only shown on an interactive terminal,
+      // so it never ends up in collected logs
+      if (process.stdout.isTTY) {
+        logger.warn('⚠️  No API keys found. Generated an admin key (shown only once):');
+        process.stdout.write(`   ${generated}\n`);
+      } else {
+        logger.warn('⚠️  No API keys found. Generated an admin key; run "npm run generate-keys" to create keys you can see');
+      }
     }
+    logger.info(`🔑 Loaded ${loaded} API key(s)`);
   } catch (error) {
-    console.error('Error loading API keys:', error);
-    generateDefaultKeys();
+    // Never overwrite a store we could not read; every request is rejected until it is fixed
+    apiKeyStoreError = error.message;
+    logger.error('Error loading API keys:', error);
+  }
+};
+
+// Check a key, optionally for a scope ('read', 'broadcast' or 'admin')
+const validateApiKey = (key, scope) => {
+  return apiKeyStore.authenticate(key, scope).valid;
+};
+
+// Authenticate a request's API key for a scope
+// Returns { valid: true, keyId, channels } (channels is null for unrestricted keys) or { valid: false, status, error, message }
+// interfaceName labels failures in the auth failure metric ('http' or 'websocket')
+const authenticateApiKey = (key, scope, interfaceName = 'http') => {
+  const result = apiKeyStore.authenticate(key, scope);
+  if (result.valid) {
+    return { valid: true, keyId: result.record.id, channels: result.record.channels || null };
   }
+  authFailureCounter.inc({ interface: interfaceName, reason: result.reason });
+  if (result.reason === 'scope') {
+    return {
+      valid: false,
+      status: 403,
+      error: 'Forbidden',
+      message: `API key requires the "${scope}" scope`
+    };
+  }
+  return {
+    valid: false,
+    status: 401,
+    error: 'Unauthorized',
+    message: result.reason === 'expired' ? 'API key has expired' : 'Valid API key is required'
+  };
 };
 
-const generateDefaultKeys = () => {
-  const defaultKeys = [
-    crypto.randomBytes(32).toString('hex'),
-    crypto.randomBytes(32).toString('hex'),
-    crypto.randomBytes(32).toString('hex'),
-    crypto.randomBytes(32).toString('hex'),
-    crypto.randomBytes(32).toString('hex')
-  ];
-  
-  defaultKeys.forEach(key => apiKeys.add(key));
-  
-  // Save to file
-  const keysPath = path.join(__dirname, 'api-keys.txt');
-  fs.writeFileSync(keysPath, defaultKeys.join('\n'));
-  console.log(`🔑 Generated and saved ${defaultKeys.length} default API keys to api-keys.txt`);
+// Stable, non-secret identifier for an API key (safe to log and use as a map key)
+const getApiKeyId = getKeyId;
+
+// Typed errors for subscribe_broadcast credentials, keyed by key store / invite failure reason
+const SUBSCRIBER_KEY_ERRORS = {
+  missing: { code: 'AUTH_INVALID', message: 'Invalid API key' },
+  unknown: { code: 'AUTH_INVALID', message: 'Invalid API key' },
+  revoked: { code: 'AUTH_REVOKED', message: 'API key has been revoked' },
+  expired: { code: 'AUTH_EXPIRED', message: 'API key has expired' },
+  scope: { code: 'AUTH_FORBIDDEN', message: 'API key does not have the "subscribe" scope' }
+};
+const SUBSCRIBER_INVITE_ERRORS = {
+  missing: { code: 'INVITE_INVALID', message: 'Invalid invite code' },
+  unknown: { code: 'INVITE_INVALID', message: 'Invalid invite code' },
+  used: { code: 'INVITE_USED', message: 'Invite has already been used' },
+  revoked: { code: 'INVITE_REVOKED', message: 'Invite has been revoked' },
+  expired: { code: 'INVITE_EXPIRED', message: 'Invite has expired' }
 };
 
-const validateApiKey = (key) => {
-  return apiKeys.has(key);
+// Check subscribe_broadcast credentials: an API key with the subscribe scope, or a single-use invite
+// Returns { valid: true, keyId, channels } or { valid: true, invite, channels } or { valid: false, code, message }
+// channels lists the channels the credential may join (null = any)
+const authenticateSubscriber = (apiKey, inviteCode) => {
+  if (apiKey) {
+    const result = apiKeyStore.authenticate(apiKey, 'subscribe');
+    if (!result.valid) {
+      authFailureCounter.inc({ interface: 'websocket', reason: result.reason });
+      return { valid: false, ...SUBSCRIBER_KEY_ERRORS[result.reason] };
+    }
+    return { valid: true, keyId: result.record.id, channels: result.record.channels || null };
+  }
+  if (inviteCode) {
+    const result = apiKeyStore.checkInvite(inviteCode);
+    if (!result.valid) {
+      authFailureCounter.inc({ interface: 'websocket', reason: `invite_${result.reason}` });
+      return { valid: false, ...SUBSCRIBER_INVITE_ERRORS[result.reason] };
+    }
+    return { valid: true, invite: inviteCode, channels: result.invite.channels || null };
+  }
+  authFailureCounter.inc({ interface: 'websocket', reason: 'missing' });
+  return {
+    valid: false,
+    code: 'AUTH_REQUIRED',
+    message: 'Subscribing requires an API key with the "subscribe" scope or an invite code'
+  };
 };
 
+// Broadcast rate limiting (shared by POST /broadcast and automatic triggers)
+const broadcastRateLimiter = new BroadcastRateLimiter(config.rateLimits);
+
+// Device drivers available to subscribers (the simulator echoes its commands to every WebSocket client)
+// The openshock and http drivers are rebuilt on reload so new defaults and allowed hosts apply; the enabled list is fixed at startup
+const buildDeviceDrivers = (names = config.drivers.enabled) => createDeviceDrivers({
+  enabled: names,
+  httpAllowedHosts: config.drivers.httpAllowedHosts,
+  openshock: {
+    apiUrl: config.openshock.apiUrl,
+    apiVersion: config.openshock.apiVersion,
+    customName: config.openshock.customName || undefined,
+    allowedHosts: config.openshock.allowedHosts,
+    onRequest: ({ durationMs, statusCode }) => {
+      openShockRequestCounter.inc({ status: statusCode === null ? 'error' : statusCode });
+      openShockLatency.observe({}, durationMs / 1000);
+    }
+  },
+  onSimulatedCommand: (command) => {
+    broadcastToClients({
+      type: WS_MESSAGE_TYPES.SIMULATED_COMMAND,
+      data: command,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+const deviceDrivers = buildDeviceDrivers();
+
 // WebSocket utility functions
 const broadcastToClients = (message) => {
   const messageStr = JSON.stringify(message);
@@ -129,17 +495,35 @@ const broadcastToClients = (message) => {
   });
 };
 
-// Broadcast to subscribers only
-const broadcastToSubscribers = (message) => {
-  const messageStr = JSON.stringify(message);
+// Whether a subscriber receives broadcasts for a channel (no channel = every subscriber)
+const isInChannel = (subscriberData, channel) => !channel || subscriberData.channels.includes(channel);
+
+// Number of subscribers in a channel
+const countChannelSubscribers = (channel) => {
+  let count = 0;
+  broadcastSubscribers.forEach(subscriberData => {
+    if (isInChannel(subscriberData, channel)) {
+      count++;
+    }
+  });
+  return count;
+};
+
+// Broadcast to subscribers only (of one channel when channel is set)
+// message may be a function (ws, subscriberData) => message for per-subscriber payloads
+const broadcastToSubscribers = (message, channel = null) => {
+  const messageStr = typeof message === 'function' ? null : JSON.stringify(message);
   let sentCount = 0;
   broadcastSubscribers.forEach((subscriberData, ws) => {
+    if (subscriberData.muted || !isInChannel(subscriberData, channel)) {
+      return;
+    }
     if (ws.readyState === WebSocket.OPEN) {
       try {
-        ws.send(messageStr);
+        ws.send(messageStr || JSON.stringify(message(ws, subscriberData)));
         sentCount++;
       } catch (error) {
-        console.error('Error sending to broadcast subscriber:', error);
+        logger.error('Error sending to broadcast subscriber:', error);
         // Remove dead connection
         broadcastSubscribers.delete(ws);
       }
@@ -151,352 +535,889 @@ const broadcastToSubscribers = (message) => {
   return sentCount;
 };
 
-// Collect shockers grouped by OpenShock API token
-const collectSubscriberShockersByToken = () => {
-  const shockersByToken = new Map(); // Map of token -> Set of shockers
+// Collect shockers grouped by driver and device account (e.g. OpenShock API token)
+// Only members of channel are included (every channel when omitted, as for emergency stop)
+// Muted subscribers are left out unless includeMuted is set (emergency stop reaches everyone)
+// Returns Map of group key -> { driver, config, label, shockers, subscribers, limits, lastHitAt }
+const collectSubscriberShockerGroups = ({ includeMuted = false, channel = null } = {}) => {
+  const groups = new Map();
   broadcastSubscribers.forEach((subscriberData, ws) => {
-    if (ws.readyState === WebSocket.OPEN && subscriberData.shockers && subscriberData.openshockToken) {
-      const token = subscriberData.openshockToken;
-      if (!shockersByToken.has(token)) {
-        shockersByToken.set(token, new Set());
+    const driver = deviceDrivers.get(subscriberData.driver);
+    if ((subscriberData.muted && !includeMuted) || !isInChannel(subscriberData, channel)) {
+      return;
+    }
+    if (ws.readyState === WebSocket.OPEN && subscriberData.shockers && driver) {
+      const key = `${driver.name}:${driver.groupKey(subscriberData.driverConfig)}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          driver,
+          config: subscriberData.driverConfig,
+          label: `${driver.name} ${driver.describe(subscriberData.driverConfig)}`,
+          shockers: new Set(),
+          subscribers: [],
+          limitsList: [],
+          lastHitAt: null
+        });
       }
+      const group = groups.get(key);
       subscriberData.shockers.forEach(shockerId => {
-        shockersByToken.get(token).add(shockerId);
+        group.shockers.add(shockerId);
       });
+      group.subscribers.push(ws);
+      group.limitsList.push(subscriberData.limits || DEFAULT_SUBSCRIBER_LIMITS);
+      if (subscriberData.lastHitAt && (!group.lastHitAt || subscriberData.lastHitAt > group.lastHitAt)) {
+        group.lastHitAt = subscriberData.lastHitAt;
+      }
     }
   });
-  // Convert Sets to Arrays
+  // Convert Sets to Arrays and merge limits
   const result = new Map();
-  shockersByToken.forEach((shockers, token) => {
-    result.set(token, Array.from(shockers));
+  groups.forEach((group, key) => {
+    result.set(key, {
+      driver: group.driver,
+      config: group.config,
+      label: group.label,
+      shockers: Array.from(group.shockers),
+      subscribers: group.subscribers,
+      limits: mergeSubscriberLimits(group.limitsList),
+      lastHitAt: group.lastHitAt
+    });
   });
   return result;
 };
 
-// Send control command to OpenShock API
-const sendOpenShockControl = (apiToken, shockers, intensity, duration, type) => {
-  return new Promise((resolve, reject) => {
-    // Check if OpenShock API token is provided
-    if (!apiToken) {
-      resolve({ enabled: false, message: 'OpenShock API token not provided' });
-      return;
-    }
-    
-    // Validate shockers are provided
-    if (!shockers || shockers.length === 0) {
-      resolve({ enabled: false, message: 'No shockers specified' });
-      return;
-    }
-    
-    const shockerIds = shockers;
-    
-    // OpenShock API expects duration in milliseconds
-    // Convert type to match OpenShock API format (capitalized: "Shock" or "Vibrate")
-    const openshockType = type === 'vibrate' ? 'Vibrate' : 'Shock';
-    
-    // Format shocks array with each shocker as an object
-    const shocksArray = shockerIds.map(shockerId => ({
-      id: shockerId,
-      type: openshockType,
-      intensity: parseInt(intensity),
-      duration: parseInt(duration),
-      exclusive: true
-    }));
-    
-    const payload = JSON.stringify({
-      shocks: shocksArray,
-      customName: 'From shocekr.resung.gay <3'
-    });
-    
-    const options = {
-      hostname: 'api.openshock.app',
-      path: '/2/shockers/control',
-      method: 'POST',
-      headers: {
-        'OpenShockToken': apiToken,
-        'Content-Type': 'application/json',
-        'User-Agent': 'ShockerServer/1.0',
-        'Accept': 'application/json'
-      }
-    };
-    
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const contentType = res.headers['content-type'] || '';
-          const isJson = contentType.includes('application/json');
-          
-          // Check if response is empty
-          if (!data || data.trim().length === 0) {
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve({
-                enabled: true,
-                success: true,
-                statusCode: res.statusCode,
-                data: {},
-                shockers: shockerIds
-              });
-            } else {
-              resolve({
-                enabled: true,
-                success: false,
-                statusCode: res.statusCode,
-                error: { message: 'Empty response from OpenShock API' }
-              });
-            }
-            return;
-          }
-          
-          // Try to parse as JSON
-          let parsedData;
-          if (isJson) {
-            parsedData = JSON.parse(data);
-          } else {
-            // If not JSON, check if it looks like JSON anyway
-            const trimmedData = data.trim();
-            if (trimmedData.startsWith('{') || trimmedData.startsWith('[')) {
-              try {
-                parsedData = JSON.parse(data);
-              } catch (e) {
-                // Not valid JSON, treat as HTML/text error
-                const preview = data.length > 200 ? data.substring(0, 200) + '...' : data;
-                resolve({
-                  enabled: true,
-                  success: false,
-                  statusCode: res.statusCode,
-                  error: { 
-                    message: `Non-JSON response from OpenShock API (Status: ${res.statusCode})`,
-                    response: preview
-                  }
-                });
-                return;
-              }
-            } else {
-              // HTML or other non-JSON response
-              const preview = data.length > 200 ? data.substring(0, 200) + '...' : data;
-              const fullResponse = data.length > 1000 ? data.substring(0, 1000) + '...' : data;
-              resolve({
-                enabled: true,
-                success: false,
-                statusCode: res.statusCode,
-                error: { 
-                  message: `Non-JSON response from OpenShock API (Status: ${res.statusCode}, Content-Type: ${contentType})`,
-                  response: preview,
-                  fullResponse: fullResponse
-                }
-              });
-              return;
-            }
-          }
-          
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve({
-              enabled: true,
-              success: true,
-              statusCode: res.statusCode,
-              data: parsedData,
-              shockers: shockerIds
-            });
-          } else {
-            resolve({
-              enabled: true,
-              success: false,
-              statusCode: res.statusCode,
-              error: parsedData || { message: 'Unknown error' }
-            });
-          }
-        } catch (error) {
-          const preview = data ? (data.length > 200 ? data.substring(0, 200) + '...' : data) : 'No data';
-          reject(new Error(`Failed to parse OpenShock API response: ${error.message}. Response preview: ${preview}`));
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      reject(new Error(`OpenShock API request failed: ${error.message}`));
-    });
-    
-    req.write(payload);
-    req.end();
-  });
+// Delivery result for one device group, as reported by /broadcast and broadcast_result
+// outcome is the group's limits outcome, result the driver result (omitted when skipped)
+const buildGroupResult = (group, outcome, result) => {
+  const entry = {
+    driver: group.driver.name,
+    group: group.label,
+    shockers: group.shockers,
+    subscribers: group.subscribers.length,
+    skipped: outcome.skipped,
+    clamped: outcome.clamped,
+    reason: outcome.reason,
+    intensity: outcome.intensity,
+    duration: outcome.duration
+  };
+  if (outcome.skipped) {
+    return { ...entry, success: false };
+  }
+  let error;
+  if (result.error) {
+    error = typeof result.error === 'string'
+      ? { message: result.error }
+      : {
+        message: result.error.message || result.error.title || 'Unknown error',
+        response: result.error.response
+      };
+  } else if (!result.success) {
+    error = { message: result.message || 'Device control not sent' };
+  }
+  return {
+    ...entry,
+    success: !!result.success,
+    statusCode: result.statusCode,
+    error
+  };
 };
 
-// Broadcast a message with intensity, duration, and type to all connected clients
-const broadcastMessage = async (intensity, duration, type) => {
+// Summarize group results: { groups, delivered, failed, skipped }
+const summarizeDelivery = (results) => ({
+  groups: results.length,
+  delivered: results.filter(r => r.success).length,
+  failed: results.filter(r => !r.success && !r.skipped).length,
+  skipped: results.filter(r => r.skipped).length
+});
+
+// Broadcast a message with intensity, duration, and type to the subscribers of a channel
+// context.channel picks the channel (defaults to the default channel)
+// context.pattern ({ name, step, steps }) is included in subscriber messages for pattern steps
+// Returns { results, delivery } with one result per device group, or false when the parameters are invalid
+const broadcastMessage = async (intensity, duration, type, context = {}) => {
   // Validate type
   const validTypes = ['shock', 'vibrate'];
   if (!validTypes.includes(type)) {
-    console.error('Invalid broadcast type:', type);
+    logger.error('Invalid broadcast type:', type);
     return false;
   }
 
   // Validate intensity (0-100)
   if (!validateIntensity(intensity)) {
-    console.error('Invalid intensity for broadcast:', intensity);
+    logger.error('Invalid intensity for broadcast:', intensity);
     return false;
   }
 
   // Validate duration (300-30000ms)
   if (!validateTime(duration)) {
-    console.error('Invalid duration for broadcast:', duration);
+    logger.error('Invalid duration for broadcast:', duration);
     return false;
   }
 
-  const message = {
-    type: WS_MESSAGE_TYPES.BROADCAST,
-    data: {
-      intensity: parseInt(intensity),
-      duration: parseInt(duration),
-      type: type,
-      timestamp: new Date().toISOString()
-    },
-    timestamp: new Date().toISOString()
+  const channel = context.channel || DEFAULT_CHANNEL;
+  const subscriberCount = countChannelSubscribers(channel);
+  const patternInfo = context.pattern ? ` (pattern "${context.pattern.name}" step ${context.pattern.step}/${context.pattern.steps})` : '';
+  logger.info(`📡 Broadcasting ${type} message: ${intensity}% intensity for ${duration}ms to ${subscriberCount} subscriber(s) in channel "${channel}"${patternInfo}`);
+  
+  // Collect the channel's shockers grouped by device account and apply each group's limits
+  const shockerGroups = collectSubscriberShockerGroups({ channel });
+  const now = Date.now();
+  const outcomeBySubscriber = new Map();
+  const dispatches = [];
+  const skippedResults = [];
+  shockerGroups.forEach((group) => {
+    const outcome = applySubscriberLimits(group.limits, group.lastHitAt, intensity, duration, type, now);
+    group.subscribers.forEach(ws => outcomeBySubscriber.set(ws, outcome));
+    if (outcome.skipped) {
+      logger.info(`   ⏭️  Skipped ${group.shockers.length} shocker(s) for ${group.label}: ${outcome.reason}`);
+      skippedResults.push({ group, result: buildGroupResult(group, outcome) });
+    } else {
+      if (outcome.clamped) {
+        logger.info(`   ✂️  Clamped to ${outcome.intensity}% for ${outcome.duration}ms for ${group.label}`);
+      }
+      dispatches.push({ group, outcome });
+    }
+  });
+
+  const timestamp = new Date().toISOString();
+  subscriberSessions.recordMissed({
+    intensity: parseInt(intensity),
+    duration: parseInt(duration),
+    type,
+    channel,
+    pattern: context.pattern,
+    timestamp
+  });
+
+  const buildMessage = (ws) => {
+    const outcome = outcomeBySubscriber.get(ws);
+    return {
+      type: WS_MESSAGE_TYPES.BROADCAST,
+      data: {
+        intensity: parseInt(intensity),
+        duration: parseInt(duration),
+        type: type,
+        channel,
+        timestamp: timestamp,
+        pattern: context.pattern,
+        limits: outcome ? {
+          skipped: outcome.skipped,
+          clamped: outcome.clamped,
+          reason: outcome.reason,
+          intensity: outcome.intensity,
+          duration: outcome.duration
+        } : undefined
+      },
+      timestamp: timestamp
+    };
   };
 
-  const subscriberCount = broadcastSubscribers.size;
-  console.log(`📡 Broadcasting ${type} message: ${intensity}% intensity for ${duration}ms to ${subscriberCount} broadcast subscriber(s)`);
-  
   // Broadcast to broadcast subscribers only
-  const sentCount = broadcastToSubscribers(message);
+  const sentCount = broadcastToSubscribers(buildMessage, channel);
   if (sentCount > 0) {
-    console.log(`   ✅ Sent to ${sentCount} subscriber(s)`);
+    logger.info(`   ✅ Sent to ${sentCount} subscriber(s)`);
   }
   
-  // Collect shockers grouped by OpenShock API token
-  const shockersByToken = collectSubscriberShockersByToken();
-  
-  // Send to OpenShock API for each unique token
-  if (shockersByToken.size > 0) {
+  // Send to each device group that was not skipped
+  const groupResults = skippedResults;
+  if (dispatches.length > 0) {
     const apiCalls = [];
-    shockersByToken.forEach((shockers, token) => {
+    dispatches.forEach(({ group, outcome }) => {
+      // Record the hit before the call so overlapping broadcasts respect minInterval
+      group.subscribers.forEach(ws => {
+        const subscriberData = broadcastSubscribers.get(ws);
+        if (subscriberData) {
+          subscriberData.lastHitAt = now;
+        }
+      });
       apiCalls.push(
-        sendOpenShockControl(token, shockers, intensity, duration, type)
+        group.driver.send(group.config, group.shockers, { intensity: outcome.intensity, duration: outcome.duration, type })
           .then((result) => {
             if (result.enabled) {
               if (result.success) {
-                console.log(`✅ OpenShock API: Control sent to ${result.shockers.length} shocker(s) with token ${token.substring(0, 8)}...`);
+                logger.info(`✅ Device control sent to ${result.shockers.length} shocker(s) via ${group.label}`);
               } else {
                 const errorMsg = (result.error && result.error.message) ? result.error.message : 'Unknown error';
                 const statusCode = result.statusCode || 'unknown';
                 const errorDetails = result.error && result.error.response ? ` Response: ${result.error.response.substring(0, 100)}` : '';
-                console.error(`❌ OpenShock API: Control failed for token ${token.substring(0, 8)}... (Status: ${statusCode}) - ${errorMsg}${errorDetails}`);
+                logger.error(`❌ Device control failed via ${group.label} (Status: ${statusCode}) - ${errorMsg}${errorDetails}`);
                 // Log full error details for debugging
                 if (result.error && result.error.response) {
-                  console.error(`   Full error response: ${result.error.response.substring(0, 500)}`);
+                  logger.error(`   Full error response: ${result.error.response.substring(0, 500)}`);
                 }
               }
             }
-            return result;
+            return { group, result: buildGroupResult(group, outcome, result) };
           })
           .catch((error) => {
-            console.error(`❌ OpenShock API error for token ${token.substring(0, 8)}...: ${error.message}`);
-            return { enabled: false, error: error.message };
+            logger.error(`❌ Device driver error via ${group.label}: ${error.message}`);
+            return { group, result: buildGroupResult(group, outcome, { enabled: false, error: error.message }) };
           })
       );
     });
     
-    console.log(`📡 Sending to OpenShock API: ${shockersByToken.size} token(s) with ${Array.from(shockersByToken.values()).reduce((sum, s) => sum + s.length, 0)} total shocker(s)`);
+    logger.info(`📡 Sending to devices: ${dispatches.length} group(s) with ${dispatches.reduce((sum, d) => sum + d.group.shockers.length, 0)} total shocker(s)`);
     
     try {
-      await Promise.all(apiCalls);
+      groupResults.push(...await Promise.all(apiCalls));
     } catch (error) {
-      console.error(`❌ OpenShock API batch error: ${error.message}`);
+      logger.error(`❌ Device driver batch error: ${error.message}`);
     }
+  } else if (shockerGroups.size > 0) {
+    logger.info(`⚠️  No shockers dispatched (all device groups skipped by subscriber limits)`);
   } else {
-    console.log(`⚠️  No shockers available (no active subscribers with shockers and OpenShock tokens)`);
+    logger.info(`⚠️  No shockers available (no active subscribers with shockers)`);
   }
-  
-  return true;
+
+  // Tell each subscriber whether their own devices actually fired
+  groupResults.forEach(({ group, result }) => {
+    const message = JSON.stringify({
+      type: WS_MESSAGE_TYPES.BROADCAST_RESULT,
+      data: {
+        ...result,
+        subscribers: undefined,
+        type: type,
+        pattern: context.pattern,
+        broadcastTimestamp: timestamp
+      },
+      timestamp: new Date().toISOString()
+    });
+    group.subscribers.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(message);
+      }
+    });
+  });
+
+  const results = groupResults.map(({ result }) => result);
+  return { results, delivery: summarizeDelivery(results) };
 };
 
-// Execute broadcast function (extracted from POST endpoint for reuse)
-// This function performs validation and executes the broadcast
-// Note: shockers are collected from subscribed clients, not passed as parameter
-const executeBroadcast = async (intensity, duration, type) => {
-  // Validate input
-  if (!intensity || !duration || !type) {
+// Rejection returned while the emergency stop lockout is active (null when armed)
+const getLockoutResult = () => {
+  if (!broadcastLockout.locked) {
+    return null;
+  }
+  return {
+    success: false,
+    error: 'Locked out',
+    message: `Broadcasts are locked out since ${broadcastLockout.lockedAt} (${broadcastLockout.reason}). An admin must re-arm the server.`
+  };
+};
+
+// Rate limit, queue and await a validated broadcast job
+// spec is { intensity, duration, type } or, for patterns, also { pattern: { name, steps, totalDuration } }
+// cost is the job's shock-millisecond cost for the rate limiter
+const enqueueBroadcastJob = async (spec, cost, options) => {
+  const { keyId = null, source = 'api', channel = DEFAULT_CHANNEL } = options;
+  const priority = options.priority || (source === 'api' ? 'manual' : 'automatic');
+
+  // Enforce cooldowns and shock budgets (automatic triggers count against the global budget)
+  const rateLimit = broadcastRateLimiter.check(keyId, cost);
+  if (rateLimit.tooLarge) {
+    logger.info(`🚦 Broadcast from ${source}${keyId ? ` (key ${keyId})` : ''} rejected: ${rateLimit.reason}`);
     return {
       success: false,
-      error: 'Missing required parameters',
-      message: 'intensity, duration, and type are required'
+      error: 'Exceeds budget',
+      message: rateLimit.reason
     };
   }
-
-  // Validate type
-  const validTypes = ['shock', 'vibrate'];
-  if (!validTypes.includes(type)) {
+  if (!rateLimit.allowed) {
+    logger.info(`🚦 Broadcast from ${source}${keyId ? ` (key ${keyId})` : ''} rate limited: ${rateLimit.reason}`);
     return {
       success: false,
-      error: 'Invalid type',
-      message: 'Type must be either "shock" or "vibrate"'
+      error: 'Rate limited',
+      message: rateLimit.reason,
+      retryAfter: Math.ceil(rateLimit.retryAfterMs / 1000)
     };
   }
 
-  if (!validateIntensity(intensity)) {
+  // Queue the broadcast behind any that are still running
+  // Note: shockers are collected from subscribed clients when the job runs, not passed here
+  // Automatic triggers outside a request (rules, schedules, YouTube polls) get their own request id
+  const requestId = logger.getContext().requestId || Logger.newRequestId();
+  const queued = broadcastQueue.enqueue({ ...spec, channel, priority, source, keyId, requestId });
+  if (!queued.accepted) {
+    logger.info(`🚦 Broadcast from ${source} rejected: ${queued.reason}`);
     return {
       success: false,
-      error: 'Invalid intensity',
-      message: 'Intensity must be a number between 0 and 100'
+      error: 'Queue full',
+      message: queued.reason
     };
   }
+  // A merged trigger only costs what it added to the queued job
+  const charged = queued.coalesced ? BroadcastRateLimiter.getCost(spec.type, queued.addedDuration) : cost;
+  if (!queued.coalesced || charged > 0) {
+    broadcastRateLimiter.record(keyId, charged);
+  }
+  if (queued.coalesced) {
+    logger.info(`🔗 Broadcast from ${source} merged into queued job #${queued.job.id}`);
+  } else if (broadcastQueue.running && broadcastQueue.running !== queued.job) {
+    logger.info(`⏳ Broadcast from ${source} queued as job #${queued.job.id} (${broadcastQueue.pending.length} pending)`);
+  }
 
-  if (!validateTime(duration)) {
+  const job = queued.job;
+  let outcome;
+  try {
+    outcome = await queued.promise;
+  } catch (error) {
+    // Cancelled while pending, or flushed by an emergency stop
     return {
       success: false,
-      error: 'Invalid duration',
-      message: 'Duration must be a number between 300 and 30000 milliseconds'
+      error: error.code === 'CANCELLED' ? 'Cancelled' : 'Locked out',
+      message: error.message
     };
   }
-
-  // Execute the broadcast (now async)
-  // Note: shockers are collected from subscribed clients, not passed here
-  const success = await broadcastMessage(intensity, duration, type);
   
-  if (success) {
-      return {
-      success: true,
-      message: 'Broadcast sent to all broadcast subscribers',
-      broadcast: {
-        intensity: parseInt(intensity),
-        duration: parseInt(duration),
-        type: type,
-        subscribers: broadcastSubscribers.size
-      }
-    };
-  } else {
+  if (!outcome) {
     return {
       success: false,
       error: 'Broadcast failed',
       message: 'Failed to send broadcast message'
     };
   }
+
+  const queueInfo = {
+    jobId: job.id,
+    waitedMs: job.startedAt - job.enqueuedAt,
+    coalesced: job.coalesced
+  };
+
+  if (job.pattern) {
+    const delivery = summarizeDelivery(outcome.steps.reduce((all, step) => all.concat(step.results), []));
+    return {
+      success: true,
+      message: outcome.cancelled
+        ? `Pattern "${job.pattern.name}" cancelled after ${outcome.completedSteps} of ${job.pattern.steps.length} steps`
+        : `Pattern "${job.pattern.name}" sent to channel "${job.channel}"`,
+      pattern: {
+        name: job.pattern.name,
+        channel: job.channel,
+        steps: job.pattern.steps.length,
+        completedSteps: outcome.completedSteps,
+        totalDuration: job.pattern.totalDuration,
+        cancelled: outcome.cancelled,
+        subscribers: countChannelSubscribers(job.channel)
+      },
+      delivery,
+      steps: outcome.steps,
+      queue: queueInfo
+    };
+  }
+
+  // Only report failure when devices were targeted and none of them fired
+  const { delivery, results } = outcome;
+  if (delivery.failed > 0 && delivery.delivered === 0) {
+    return {
+      success: false,
+      error: 'Delivery failed',
+      message: `Device control failed for all ${delivery.failed} device group(s)`,
+      delivery,
+      results,
+      queue: queueInfo
+    };
+  }
+
+  return {
+    success: true,
+    message: delivery.groups > 0
+      ? `Broadcast delivered to ${delivery.delivered} of ${delivery.groups} device group(s)`
+      : `Broadcast sent to channel "${job.channel}"`,
+    broadcast: {
+      intensity: job.intensity,
+      duration: job.duration,
+      type: job.type,
+      channel: job.channel,
+      subscribers: countChannelSubscribers(job.channel)
+    },
+    delivery,
+    results,
+    queue: queueInfo
+  };
 };
 
-const createWebSocketServer = (server, port) => {
-  const wss = new WebSocket.Server({ 
-    server,
-    path: '/ws'
+// Record a broadcast or pattern in the audit log and pass its result through
+// parameters are what was requested, result is what executeBroadcast/executePattern returned
+const auditBroadcast = (action, parameters, options, result) => {
+  // Pattern results carry per-step group results, single broadcasts carry them directly
+  const results = result.steps
+    ? result.steps.reduce((all, step) => all.concat(step.results.map(r => ({ ...r, step: step.step }))), [])
+    : (result.results || []);
+
+  const groups = new Map();
+  results.forEach(r => {
+    if (!groups.has(r.group)) {
+      groups.set(r.group, { driver: r.driver, group: r.group, shockers: r.shockers, subscribers: r.subscribers });
+    }
   });
 
-  wss.on('connection', (ws, req) => {
-    const clientAddress = req.socket.remoteAddress;
-    console.log(`🔌 New WebSocket connection from ${clientAddress} on port ${port}`);
-    connectedClients.add(ws);
+  broadcastCounter.inc({
+    // Rule and webhook sources carry their name ("rule:<name>"); the prefix keeps the label set small
+    source: (options.source || 'api').split(':')[0],
+    // Rejected requests may carry any type; only known ones become label values
+    type: ['shock', 'vibrate', 'pattern'].includes(parameters.type) ? parameters.type : action,
+    result: result.success ? 'success' : (result.error || 'failed').toLowerCase().replace(/\s+/g, '_')
+  });
+  auditLog.record({
+    action,
+    source: options.source || 'api',
+    keyId: options.keyId || null,
+    parameters: { ...parameters, channel: options.channel || DEFAULT_CHANNEL },
+    recipients: {
+      subscribers: countChannelSubscribers(options.channel || DEFAULT_CHANNEL),
+      groups: Array.from(groups.values())
+    },
+    outcome: {
+      success: !!result.success,
+      error: result.error,
+      message: result.message,
+      jobId: result.queue ? result.queue.jobId : undefined,
+      delivery: result.delivery,
+      results: results.map(r => ({
+        step: r.step,
+        group: r.group,
+        success: r.success,
+        statusCode: r.statusCode,
+        skipped: r.skipped,
+        clamped: r.clamped,
+        reason: r.reason,
+        error: r.error ? r.error.message : undefined
+      }))
+    }
+  });
+  outboundWebhooks.emit('broadcast_result', {
+    action,
+    source: options.source || 'api',
+    keyId: options.keyId || null,
+    channel: options.channel || DEFAULT_CHANNEL,
+    parameters,
+    success: !!result.success,
+    error: result.error,
+    message: result.message,
+    jobId: result.queue ? result.queue.jobId : undefined,
+    delivery: result.delivery
+  });
+  return result;
+};
 
-    // Handle incoming messages
-    ws.on('message', (message) => {
-      try {
-        const data = JSON.parse(message);
-        
-        switch (data.type) {
-          case WS_MESSAGE_TYPES.PING:
-            ws.send(JSON.stringify({
+// Execute broadcast function (extracted from POST endpoint for reuse)
+// This function performs validation and executes the broadcast
+// Note: shockers are collected from subscribed clients, not passed as parameter
+// options.keyId identifies the calling API key (omit for automatic triggers)
+// options.source names the trigger for logging (e.g. 'api', 'youtube')
+// options.channel is the broadcast channel to target (defaults to the default channel)
+// options.priority is 'manual' or 'automatic' (defaults to manual for API calls, automatic otherwise)
+// Resolves once the broadcast has been dispatched from the queue
+const executeBroadcast = async (intensity, duration, type, options = {}) => {
+  const parameters = { intensity, duration, type };
+
+  // Reject everything while the emergency stop lockout is active
+  const lockout = getLockoutResult();
+  if (lockout) {
+    return auditBroadcast('broadcast', parameters, options, lockout);
+  }
+
+  // Validate input
+  if (!intensity || !duration || !type) {
+    return auditBroadcast('broadcast', parameters, options, {
+      success: false,
+      error: 'Missing required parameters',
+      message: 'intensity, duration, and type are required'
+    });
+  }
+
+  // Validate type
+  const validTypes = ['shock', 'vibrate'];
+  if (!validTypes.includes(type)) {
+    return auditBroadcast('broadcast', parameters, options, {
+      success: false,
+      error: 'Invalid type',
+      message: 'Type must be either "shock" or "vibrate"'
+    });
+  }
+
+  if (!validateIntensity(intensity)) {
+    return auditBroadcast('broadcast', parameters, options, {
+      success: false,
+      error: 'Invalid intensity',
+      message: 'Intensity must be a number between 0 and 100'
+    });
+  }
+
+  if (!validateTime(duration)) {
+    return auditBroadcast('broadcast', parameters, options, {
+      success: false,
+      error: 'Invalid duration',
+      message: 'Duration must be a number between 300 and 30000 milliseconds'
+    });
+  }
+
+  if (options.channel !== undefined && !isValidChannel(options.channel)) {
+    return auditBroadcast('broadcast', parameters, options, {
+      success: false,
+      error: 'Invalid channel',
+      message: 'Channel names are 1-32 letters, digits, "-" or "_"'
+    });
+  }
+
+  const result = await enqueueBroadcastJob({ intensity, duration, type }, BroadcastRateLimiter.getCost(type, duration), options);
+  return auditBroadcast('broadcast', parameters, options, result);
+};
+
+// Execute a named pattern from the pattern library (same options as executeBroadcast)
+// Resolves once every step has run or the pattern was cancelled
+const executePattern = async (name, options = {}) => {
+  const lockout = getLockoutResult();
+  if (lockout) {
+    return auditBroadcast('pattern', { pattern: name }, options, lockout);
+  }
+
+  if (options.channel !== undefined && !isValidChannel(options.channel)) {
+    return auditBroadcast('pattern', { pattern: name }, options, {
+      success: false,
+      error: 'Invalid channel',
+      message: 'Channel names are 1-32 letters, digits, "-" or "_"'
+    });
+  }
+
+  const expanded = patternLibrary.expand(name);
+  if (!expanded) {
+    return auditBroadcast('pattern', { pattern: name }, options, {
+      success: false,
+      error: 'Unknown pattern',
+      message: `Pattern "${name}" not found`
+    });
+  }
+
+  const hits = expanded.steps.filter(step => step.pause === undefined);
+  const lastStep = expanded.steps[expanded.steps.length - 1];
+  const spec = {
+    type: 'pattern',
+    intensity: Math.max(...hits.map(step => step.intensity)),
+    // Hold the queue for the final hit; earlier steps are waited out while the pattern runs
+    duration: lastStep.pause === undefined ? lastStep.duration : 0,
+    pattern: { name, steps: expanded.steps, totalDuration: expanded.totalDuration }
+  };
+  const cost = hits.reduce((sum, step) => sum + BroadcastRateLimiter.getCost(step.type, step.duration), 0);
+  const result = await enqueueBroadcastJob(spec, cost, options);
+  return auditBroadcast('pattern', { pattern: name, type: 'pattern', intensity: spec.intensity, duration: expanded.totalDuration }, options, result);
+};
+
+// Run a pattern job step by step (called by the queue)
+const runPatternJob = async (job) => {
+  const { name, steps } = job.pattern;
+  logger.info(`🎵 Running pattern "${name}" (${steps.length} steps, ${job.pattern.totalDuration}ms)`);
+
+  let completedSteps = 0;
+  const stepResults = [];
+  for (let i = 0; i < steps.length && !job.cancelled; i++) {
+    const step = steps[i];
+    job.currentStep = i + 1;
+    if (step.pause !== undefined) {
+      await broadcastQueue.wait(job, step.pause);
+      if (!job.cancelled) {
+        completedSteps++;
+      }
+    } else {
+      const sent = await broadcastMessage(step.intensity, step.duration, step.type, {
+        channel: job.channel,
+        pattern: { name, step: i + 1, steps: steps.length }
+      });
+      stepResults.push({
+        step: i + 1,
+        type: step.type,
+        intensity: step.intensity,
+        duration: step.duration,
+        delivery: sent.delivery,
+        results: sent.results
+      });
+      completedSteps++;
+      // The queue holds for the final step's duration itself
+      if (i < steps.length - 1) {
+        await broadcastQueue.wait(job, step.duration);
+      }
+    }
+  }
+
+  if (job.cancelled) {
+    logger.info(`⏹️  Pattern "${name}" cancelled after ${completedSteps} of ${steps.length} steps`);
+  }
+  return { completedSteps, cancelled: job.cancelled, steps: stepResults };
+};
+
+// Broadcast queue: jobs run one at a time, manual broadcasts ahead of automatic triggers
+const broadcastQueue = new BroadcastQueue({
+  // Jobs run in the context of the request that queued them, whichever request started the queue
+  run: (job) => logger.runWithContext({ requestId: job.requestId }, () => {
+    outboundWebhooks.emit('broadcast_dispatched', BroadcastQueue.describe(job));
+    return job.pattern ? runPatternJob(job) : broadcastMessage(job.intensity, job.duration, job.type, { channel: job.channel });
+  }),
+  maxDepth: config.queue.maxDepth,
+  coalesceWindowMs: config.queue.coalesceWindowMs
+});
+
+// Audit log of every activation (append-only, one JSON object per line)
+const auditLog = new AuditLog({ storage });
+
+// Outbound webhooks: signed JSON notifications of broadcasts, emergency stops, subscribers and certificates
+const outboundWebhooks = new OutboundWebhooks({
+  storage,
+  maxAttempts: config.outboundWebhooks.maxAttempts,
+  baseDelayMs: config.outboundWebhooks.retryBaseMs,
+  maxDelayMs: config.outboundWebhooks.retryMaxMs,
+  timeoutMs: config.outboundWebhooks.timeoutMs
+});
+
+// Resumable subscriptions: dropped subscribers can resume within the grace period
+const subscriberSessions = new SubscriberSessions({
+  graceMs: config.subscribers.resumeGraceMs
+});
+
+// Pattern library (named multi-step broadcasts)
+const patternLibrary = new PatternLibrary({
+  storage,
+  validateIntensity,
+  validateTime
+});
+
+// Event-to-action rules (YouTube subscriber changes, milestones, webhooks, schedules)
+// Each rule's action is queued like any automatic trigger, under the source "rule:<name>"
+const ruleEngine = new RuleEngine({
+  storage,
+  validateIntensity,
+  validateTime,
+  hasPattern: (name) => !!patternLibrary.get(name),
+  execute: (action, context) => {
+    const options = { source: `rule:${context.rule}`, channel: action.channel };
+    return action.pattern
+      ? executePattern(action.pattern, options)
+      : executeBroadcast(action.intensity, action.duration, action.type, options);
+  }
+});
+
+// Rules seeded on first run from the legacy YOUTUBE_BROADCAST_* settings
+const getLegacyYouTubeRules = () => {
+  if (!config.youtube.broadcastOnChange) {
+    return [];
+  }
+  return [{
+    name: 'youtube-subscriber',
+    description: 'Migrated from YOUTUBE_BROADCAST_* settings',
+    event: 'sub_gained',
+    conditions: { source: 'youtube' },
+    action: {
+      type: config.youtube.broadcastType,
+      intensity: config.youtube.broadcastIntensity,
+      duration: config.youtube.broadcastDuration,
+      channel: config.youtube.targetChannel.toLowerCase()
+    }
+  }];
+};
+
+// Emergency stop: lock out broadcasts, flush the queue and send Stop to every subscribed device
+// source names who triggered it (e.g. 'api key ...', 'websocket ...'), reason is shown to clients
+// audit ({ source, keyId }) is recorded in the audit log
+const performEmergencyStop = async (source, reason, audit = {}) => {
+  const alreadyLocked = broadcastLockout.locked;
+  if (!alreadyLocked) {
+    broadcastLockout = {
+      locked: true,
+      lockedAt: new Date().toISOString(),
+      source,
+      reason
+    };
+  }
+  logger.info(`🛑 EMERGENCY STOP from ${source}: ${reason}`);
+
+  if (broadcastQueue.cancel() === 'running') {
+    logger.info('   ⏹️  Cancelled the running broadcast');
+  }
+  const flushed = broadcastQueue.flush('Broadcast cancelled by emergency stop');
+  if (flushed > 0) {
+    logger.info(`   🗑️  Flushed ${flushed} queued broadcast(s)`);
+  }
+
+  // Reset the simulated shocker state too
+  shockerState.isOn = false;
+  shockerState.currentIntensity = 0;
+  shockerState.currentTime = 0;
+
+  // Stop every device group, ignoring subscriber limits and mutes
+  const shockerGroups = collectSubscriberShockerGroups({ includeMuted: true });
+  const stopCalls = [];
+  shockerGroups.forEach((group) => {
+    stopCalls.push(
+      group.driver.stop(group.config, group.shockers)
+        .then((result) => {
+          if (result.success) {
+            logger.info(`   ✅ Stop sent to ${group.shockers.length} shocker(s) via ${group.label}`);
+          } else {
+            const errorMsg = (result.error && result.error.message) ? result.error.message : (result.message || 'Unknown error');
+            logger.error(`   ❌ Stop failed via ${group.label} (Status: ${result.statusCode || 'unknown'}) - ${errorMsg}`);
+          }
+          return { label: group.label, shockers: group.shockers.length, success: !!result.success, statusCode: result.statusCode };
+        })
+        .catch((error) => {
+          logger.error(`   ❌ Stop error via ${group.label}: ${error.message}`);
+          return { label: group.label, shockers: group.shockers.length, success: false, error: error.message };
+        })
+    );
+  });
+  const results = await Promise.all(stopCalls);
+
+  auditLog.record({
+    action: 'emergency_stop',
+    source: audit.source || 'api',
+    keyId: audit.keyId || null,
+    parameters: { reason },
+    recipients: {
+      subscribers: broadcastSubscribers.size,
+      groups: results.map(r => ({ group: r.label, shockers: r.shockers }))
+    },
+    outcome: {
+      success: results.every(r => r.success),
+      message: `Stop sent to ${results.filter(r => r.success).length} of ${results.length} device group(s), ${flushed} queued broadcast(s) flushed`,
+      results: results.map(r => ({ group: r.label, success: r.success, statusCode: r.statusCode, error: r.error }))
+    }
+  });
+
+  outboundWebhooks.emit('emergency_stop', {
+    source,
+    reason,
+    lockout: broadcastLockout,
+    flushed,
+    groups: results.length,
+    stopped: results.filter(r => r.success).length
+  });
+
+  // Tell every client, subscribers included
+  broadcastToClients({
+    type: WS_MESSAGE_TYPES.EMERGENCY_STOP,
+    data: {
+      lockout: broadcastLockout,
+      flushed,
+      groups: results.length,
+      stopped: results.filter(r => r.success).length
+    },
+    timestamp: new Date().toISOString()
+  });
+
+  return { lockout: broadcastLockout, flushed, results };
+};
+
+// Lift the emergency stop lockout
+// audit ({ source, keyId }) is recorded in the audit log
+const rearmBroadcasts = (source, audit = {}) => {
+  const wasLocked = broadcastLockout.locked;
+  broadcastLockout = {
+    locked: false,
+    lockedAt: null,
+    source: null,
+    reason: null
+  };
+  auditLog.record({
+    action: 'rearm',
+    source: audit.source || 'api',
+    keyId: audit.keyId || null,
+    outcome: { success: true, message: wasLocked ? 'Broadcasts re-armed' : 'Broadcasts were not locked out' }
+  });
+  if (wasLocked) {
+    logger.info(`🟢 Broadcasts re-armed by ${source}`);
+    broadcastToClients({
+      type: WS_MESSAGE_TYPES.REARMED,
+      timestamp: new Date().toISOString()
+    });
+  }
+  return wasLocked;
+};
+
+// Close a connection with a code and reason, removing it from every structure right away
+// Dead peers never answer the close frame, so the socket is terminated if the handshake stalls
+const closeConnection = (ws, code, reason) => {
+  connectedClients.delete(ws);
+  connectionInfo.delete(ws);
+  if (removeBroadcastSubscriber(ws, true)) {
+    logger.info(`   📡 Removed from broadcast subscribers (${broadcastSubscribers.size} remaining), resumable for ${subscriberSessions.graceMs / 1000}s`);
+  }
+  if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+    ws.close(code, reason);
+  }
+  setTimeout(() => {
+    if (ws.readyState !== WebSocket.CLOSED) {
+      ws.terminate();
+    }
+  }, WS_CLOSE_TIMEOUT_MS).unref();
+};
+
+const createWebSocketServer = (server, port) => {
+  const wss = new WebSocket.Server({ 
+    server,
+    path: '/ws',
+    maxPayload: config.websocket.maxMessageBytes
+  });
+
+  wss.on('connection', (ws, req) => {
+    const clientAddress = req.socket.remoteAddress;
+    logger.info(`🔌 New WebSocket connection from ${clientAddress} on port ${port}`);
+    connectedClients.add(ws);
+    // Kept locally: closeConnection() drops the connectionInfo entry while ws may still emit messages
+    const clientId = nextClientId++;
+    connectionInfo.set(ws, {
+      id: clientId,
+      address: clientAddress,
+      port: parseInt(port),
+      secure: !!req.socket.encrypted,
+      connectedAt: new Date().toISOString(),
+      adminKeyId: null
+    });
+
+    // Subscriber credentials may be given in the connection URL (/ws?apiKey=... or /ws?invite=...)
+    const connectionParams = new URL(req.url, 'http://localhost').searchParams;
+
+    // Protocol-level heartbeat: ping on an interval and drop the connection if no pong arrives in time
+    let pongTimeout = null;
+    const heartbeatInterval = setInterval(() => {
+      if (pongTimeout || ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      pongTimeout = setTimeout(() => {
+        logger.info(`💔 WebSocket ${clientAddress} missed its heartbeat, closing`);
+        closeConnection(ws, WS_CLOSE_CODES.HEARTBEAT_TIMEOUT, 'Heartbeat timeout');
+      }, config.websocket.heartbeatTimeoutMs);
+      ws.ping();
+    }, config.websocket.heartbeatIntervalMs);
+    ws.on('pong', () => {
+      clearTimeout(pongTimeout);
+      pongTimeout = null;
+    });
+
+    // Per-connection message rate (fixed window)
+    let rateWindowStart = Date.now();
+    let rateWindowCount = 0;
+
+    // Handle incoming messages
+    const handleMessage = (message) => {
+      const { messageRateLimit, messageRateWindowMs } = config.websocket;
+      const now = Date.now();
+      if (now - rateWindowStart >= messageRateWindowMs) {
+        rateWindowStart = now;
+        rateWindowCount = 0;
+      }
+      rateWindowCount++;
+      if (rateWindowCount > messageRateLimit) {
+        if (rateWindowCount === messageRateLimit + 1) {
+          logger.info(`🚦 WebSocket ${clientAddress} exceeded ${messageRateLimit} messages per ${messageRateWindowMs}ms, closing`);
+          closeConnection(ws, WS_CLOSE_CODES.MESSAGE_RATE_EXCEEDED, 'Message rate limit exceeded');
+        }
+        return;
+      }
+
+      try {
+        const data = JSON.parse(message);
+        
+        switch (data.type) {
+          case WS_MESSAGE_TYPES.PING:
+            ws.send(JSON.stringify({
               type: WS_MESSAGE_TYPES.PONG,
               timestamp: new Date().toISOString()
             }));
@@ -508,7 +1429,50 @@ const createWebSocketServer = (server, port) => {
               timestamp: new Date().toISOString()
             }));
             break;
+          case WS_MESSAGE_TYPES.QUEUE_STATUS:
+            ws.send(JSON.stringify({
+              type: WS_MESSAGE_TYPES.QUEUE_STATUS,
+              data: broadcastQueue.getStatus(),
+              timestamp: new Date().toISOString()
+            }));
+            break;
+          case WS_MESSAGE_TYPES.EMERGENCY_STOP:
+            // Requires a valid API key, like POST /emergency-stop
+            const stopAuth = apiKeyStore.authenticate(data.apiKey, 'broadcast');
+            if (!stopAuth.valid) {
+              authFailureCounter.inc({ interface: 'websocket', reason: stopAuth.reason });
+              ws.send(JSON.stringify({
+                type: WS_MESSAGE_TYPES.ERROR,
+                message: 'Valid API key is required for emergency stop',
+                timestamp: new Date().toISOString()
+              }));
+              break;
+            }
+            performEmergencyStop(`websocket ${clientAddress}`, data.reason || 'Emergency stop requested over WebSocket', {
+              source: 'websocket',
+              keyId: getApiKeyId(data.apiKey)
+            })
+              .catch((error) => {
+                logger.error('Emergency stop error:', error);
+              });
+            break;
           case WS_MESSAGE_TYPES.SUBSCRIBE_BROADCAST:
+            // Authenticate before anything else; invites are only used up once the subscription is valid
+            const subscriberAuth = authenticateSubscriber(
+              data.apiKey || connectionParams.get('apiKey'),
+              data.invite || connectionParams.get('invite')
+            );
+            if (!subscriberAuth.valid) {
+              logger.info(`🚫 Client ${clientAddress} subscribe rejected: ${subscriberAuth.code}`);
+              ws.send(JSON.stringify({
+                type: WS_MESSAGE_TYPES.ERROR,
+                code: subscriberAuth.code,
+                message: subscriberAuth.message,
+                timestamp: new Date().toISOString()
+              }));
+              break;
+            }
+            
             // Parse shockers (can be array or comma-separated string)
             let shockerList = [];
             if (data.shockers) {
@@ -529,46 +1493,165 @@ const createWebSocketServer = (server, port) => {
               break;
             }
             
-            // Validate that OpenShock API token is provided
-            if (!data.openshockToken || typeof data.openshockToken !== 'string' || data.openshockToken.trim().length === 0) {
+            // Resolve the device driver (defaults to OpenShock) and validate its settings
+            const driverName = data.driver || DEFAULT_DRIVER;
+            const driver = deviceDrivers.get(driverName);
+            if (!driver) {
+              ws.send(JSON.stringify({
+                type: WS_MESSAGE_TYPES.ERROR,
+                message: `Unknown or disabled device driver "${driverName}". Enabled drivers: ${Array.from(deviceDrivers.keys()).join(', ')}`,
+                timestamp: new Date().toISOString()
+              }));
+              break;
+            }
+            const driverResult = driver.validate(data);
+            if (!driverResult.valid) {
+              ws.send(JSON.stringify({
+                type: WS_MESSAGE_TYPES.ERROR,
+                message: driverResult.message,
+                timestamp: new Date().toISOString()
+              }));
+              break;
+            }
+            
+            // Validate optional per-subscriber safety limits
+            const limitsResult = parseSubscriberLimits(data.limits);
+            if (!limitsResult.valid) {
+              ws.send(JSON.stringify({
+                type: WS_MESSAGE_TYPES.ERROR,
+                message: `Invalid limits: ${limitsResult.message}`,
+                timestamp: new Date().toISOString()
+              }));
+              break;
+            }
+            
+            // Join the requested channels (restricted credentials default to, and may only join, their own)
+            const channelsResult = parseChannels(data.channels, subscriberAuth.channels || [DEFAULT_CHANNEL]);
+            if (!channelsResult.valid) {
+              ws.send(JSON.stringify({
+                type: WS_MESSAGE_TYPES.ERROR,
+                code: 'CHANNEL_INVALID',
+                message: channelsResult.message,
+                timestamp: new Date().toISOString()
+              }));
+              break;
+            }
+            const forbiddenChannel = channelsResult.channels.find(channel => !ApiKeyStore.allowsChannel(subscriberAuth, channel));
+            if (forbiddenChannel) {
               ws.send(JSON.stringify({
                 type: WS_MESSAGE_TYPES.ERROR,
-                message: 'OpenShock API token is required. Provide openshockToken in the subscription message.',
+                code: 'CHANNEL_FORBIDDEN',
+                message: `Not allowed to join channel "${forbiddenChannel}"`,
                 timestamp: new Date().toISOString()
               }));
               break;
             }
             
-            // Store subscription with API key, OpenShock token, and shockers
+            // Exchange an invite for the subscriber's own key
+            let subscriberKeyId = subscriberAuth.keyId;
+            let issuedApiKey = null;
+            if (subscriberAuth.invite) {
+              const redeemed = apiKeyStore.redeemInvite(subscriberAuth.invite);
+              if (!redeemed.valid) {
+                ws.send(JSON.stringify({
+                  type: WS_MESSAGE_TYPES.ERROR,
+                  ...SUBSCRIBER_INVITE_ERRORS[redeemed.reason],
+                  timestamp: new Date().toISOString()
+                }));
+                break;
+              }
+              subscriberKeyId = redeemed.record.id;
+              issuedApiKey = redeemed.key;
+              logger.info(`🎟️  Invite ${redeemed.invite.id} ("${redeemed.invite.label}") redeemed by ${clientAddress} as key ${subscriberKeyId}`);
+              auditLog.record({
+                action: 'invite_redeemed',
+                source: 'websocket',
+                keyId: subscriberKeyId,
+                parameters: { id: redeemed.invite.id, label: redeemed.invite.label },
+                outcome: { success: true }
+              });
+            }
+            
+            // Store subscription with key id, channels, driver settings, shockers and limits
+            // Re-subscribing keeps the last hit time so minInterval cannot be bypassed, but starts a new session
+            const previousSubscription = broadcastSubscribers.get(ws);
+            if (previousSubscription) {
+              subscriberSessions.end(previousSubscription.sessionId);
+            }
+            const subscribeSession = subscriberSessions.create(subscriberKeyId);
             broadcastSubscribers.set(ws, {
-              apiKey: data.apiKey,
-              openshockToken: data.openshockToken.trim(),
-              shockers: shockerList
+              keyId: subscriberKeyId,
+              channels: channelsResult.channels,
+              driver: driver.name,
+              driverConfig: driverResult.config,
+              shockers: shockerList,
+              limits: limitsResult.limits,
+              lastHitAt: previousSubscription ? previousSubscription.lastHitAt : null,
+              muted: previousSubscription ? previousSubscription.muted : false,
+              sessionId: subscribeSession.session.id,
+              resumeToken: subscribeSession.token
             });
             
-            console.log(`📡 Client ${clientAddress} subscribed to broadcasts with ${shockerList.length} shocker(s) and OpenShock token (${broadcastSubscribers.size} total)`);
+            logger.info(`📡 Client ${clientAddress} (key ${subscriberKeyId}) subscribed to ${channelsResult.channels.join(', ')} with ${shockerList.length} shocker(s) via ${driver.name} driver (${broadcastSubscribers.size} total)`);
+            
+            outboundWebhooks.emit('subscriber_joined', describeSubscriberEvent(broadcastSubscribers.get(ws), { resumed: false }));
             
             // Check if we should start YouTube monitoring (first subscriber)
             checkAndStartYouTubeMonitoring();
             
             ws.send(JSON.stringify({
               type: WS_MESSAGE_TYPES.SUBSCRIBED,
-              message: 'Successfully subscribed to broadcasts',
+              message: issuedApiKey
+                ? 'Successfully subscribed to broadcasts. Use apiKey to subscribe again - the invite cannot be reused.'
+                : 'Successfully subscribed to broadcasts',
+              keyId: subscriberKeyId,
+              apiKey: issuedApiKey || undefined,
+              channels: channelsResult.channels,
               shockers: shockerList,
+              driver: driver.name,
+              limits: limitsResult.limits,
+              resumeToken: subscribeSession.token,
+              resumeGraceMs: subscriberSessions.graceMs,
+              timestamp: new Date().toISOString()
+            }));
+            break;
+          case WS_MESSAGE_TYPES.RESUME_SUBSCRIPTION:
+            resumeSubscription(ws, clientAddress, data.resumeToken);
+            break;
+          case WS_MESSAGE_TYPES.ADMIN_AUTH:
+            // Turns this connection into an admin channel (admin scope required)
+            const adminAuth = authenticateApiKey(data.apiKey, 'admin', 'websocket');
+            if (!adminAuth.valid) {
+              ws.send(JSON.stringify({
+                type: WS_MESSAGE_TYPES.ERROR,
+                code: adminAuth.status === 403 ? 'AUTH_FORBIDDEN' : 'AUTH_INVALID',
+                message: adminAuth.message,
+                timestamp: new Date().toISOString()
+              }));
+              break;
+            }
+            // The connection may already be closing (kicked or rate limited)
+            const adminInfo = connectionInfo.get(ws);
+            if (!adminInfo) {
+              break;
+            }
+            adminInfo.adminKeyId = adminAuth.keyId;
+            logger.info(`🛡️  Client ${clientAddress} opened an admin channel with key ${adminAuth.keyId}`);
+            ws.send(JSON.stringify({
+              type: WS_MESSAGE_TYPES.ADMIN_RESULT,
+              action: 'auth',
+              success: true,
+              keyId: adminAuth.keyId,
               timestamp: new Date().toISOString()
             }));
             break;
+          case WS_MESSAGE_TYPES.ADMIN_COMMAND:
+            handleAdminCommand(ws, data);
+            break;
           case WS_MESSAGE_TYPES.UNSUBSCRIBE_BROADCAST:
             if (broadcastSubscribers.has(ws)) {
-              broadcastSubscribers.delete(ws);
-              console.log(`📡 Client ${clientAddress} unsubscribed from broadcasts (${broadcastSubscribers.size} remaining)`);
-              
-              // Stop YouTube monitoring if no subscribers remain
-              if (!hasBroadcastSubscribers() && youtubeMonitoringInterval) {
-                console.log('📺 Stopping YouTube monitoring: No broadcast subscribers remaining');
-                clearInterval(youtubeMonitoringInterval);
-                youtubeMonitoringInterval = null;
-              }
+              removeBroadcastSubscriber(ws);
+              logger.info(`📡 Client ${clientAddress} unsubscribed from broadcasts (${broadcastSubscribers.size} remaining)`);
               
               ws.send(JSON.stringify({
                 type: WS_MESSAGE_TYPES.UNSUBSCRIBED,
@@ -584,52 +1667,41 @@ const createWebSocketServer = (server, port) => {
             }
             break;
           default:
-            console.log('Unknown message type:', data.type);
+            logger.info('Unknown message type:', data.type);
         }
       } catch (error) {
-        console.error('Error parsing WebSocket message:', error);
+        logger.error('Error parsing WebSocket message:', error);
         ws.send(JSON.stringify({
           type: WS_MESSAGE_TYPES.ERROR,
           message: 'Invalid message format',
           timestamp: new Date().toISOString()
         }));
       }
-    });
+    };
+    // Each message gets its own request id, so a WebSocket-triggered broadcast can be followed like an HTTP one
+    ws.on('message', (message) => logger.runWithContext({ requestId: Logger.newRequestId(), clientId }, () => handleMessage(message)));
 
     // Handle client disconnect
-    ws.on('close', () => {
-      console.log(`🔌 WebSocket connection closed from ${clientAddress} on port ${port}`);
+    ws.on('close', (code) => {
+      logger.info(`🔌 WebSocket connection closed from ${clientAddress} on port ${port} (code ${code})`);
+      clearInterval(heartbeatInterval);
+      clearTimeout(pongTimeout);
       connectedClients.delete(ws);
-      // Remove from broadcast subscribers if subscribed
-      if (broadcastSubscribers.has(ws)) {
-        const subscriberData = broadcastSubscribers.get(ws);
-        broadcastSubscribers.delete(ws);
-        console.log(`   📡 Removed from broadcast subscribers (${broadcastSubscribers.size} remaining)`);
-        
-        // Stop YouTube monitoring if no subscribers remain
-        if (!hasBroadcastSubscribers() && youtubeMonitoringInterval) {
-          console.log('📺 Stopping YouTube monitoring: No broadcast subscribers remaining');
-          clearInterval(youtubeMonitoringInterval);
-          youtubeMonitoringInterval = null;
-        }
+      connectionInfo.delete(ws);
+      // Remove from broadcast subscribers if subscribed, keeping the session resumable
+      if (removeBroadcastSubscriber(ws, true)) {
+        logger.info(`   📡 Removed from broadcast subscribers (${broadcastSubscribers.size} remaining), resumable for ${subscriberSessions.graceMs / 1000}s`);
       }
     });
 
     // Handle errors
     ws.on('error', (error) => {
-      console.error(`WebSocket error from ${clientAddress}:`, error);
+      logger.error(`WebSocket error from ${clientAddress}:`, error);
       connectedClients.delete(ws);
-      // Remove from broadcast subscribers if subscribed
-      if (broadcastSubscribers.has(ws)) {
-        broadcastSubscribers.delete(ws);
-        console.log(`   📡 Removed from broadcast subscribers (${broadcastSubscribers.size} remaining)`);
-        
-        // Stop YouTube monitoring if no subscribers remain
-        if (!hasBroadcastSubscribers() && youtubeMonitoringInterval) {
-          console.log('📺 Stopping YouTube monitoring: No broadcast subscribers remaining');
-          clearInterval(youtubeMonitoringInterval);
-          youtubeMonitoringInterval = null;
-        }
+      connectionInfo.delete(ws);
+      // Remove from broadcast subscribers if subscribed, keeping the session resumable
+      if (removeBroadcastSubscriber(ws, true)) {
+        logger.info(`   📡 Removed from broadcast subscribers (${broadcastSubscribers.size} remaining), resumable for ${subscriberSessions.graceMs / 1000}s`);
       }
     });
   });
@@ -640,30 +1712,194 @@ const createWebSocketServer = (server, port) => {
 
 // Routes
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    shocker: {
-      isOn: shockerState.isOn,
-      currentIntensity: shockerState.currentIntensity,
-      currentTime: shockerState.currentTime
-    }
-  });
-});
+// Cached OpenShock reachability for /health and /ready, refreshed in the background
+// so health checks never wait on (or hammer) the OpenShock API
+let openShockProbe = null;
+let openShockProbeTimer = null;
 
-// Get shocker status
-app.get('/shocker/status', (req, res) => {
-  res.json({
-    isOn: shockerState.isOn,
-    currentIntensity: shockerState.currentIntensity,
-    currentTime: shockerState.currentTime,
-    lastActivated: shockerState.lastActivated
-  });
-});
+const startOpenShockProbe = () => {
+  clearInterval(openShockProbeTimer);
+  openShockProbeTimer = null;
+  openShockProbe = null;
+  if (!config.drivers.enabled.includes('openshock')) {
+    return;
+  }
+  const probe = async () => {
+    const apiUrl = config.openshock.apiUrl;
+    const result = await probeOpenShockApi(apiUrl);
+    if (!result.reachable && (!openShockProbe || openShockProbe.reachable)) {
+      logger.warn(`⚠️  OpenShock API ${apiUrl} is unreachable: ${result.error}`);
+    } else if (result.reachable && openShockProbe && !openShockProbe.reachable) {
+      logger.info(`✅ OpenShock API ${apiUrl} is reachable again`);
+    }
+    openShockProbe = { ...result, apiUrl, checkedAt: new Date().toISOString() };
+  };
+  probe();
+  openShockProbeTimer = setInterval(probe, config.health.openshockProbeIntervalSeconds * 1000);
+  openShockProbeTimer.unref();
+};
 
-// Activate shocker
+// Component status for /health and /ready
+// Every component has a status: ok, degraded, failing, starting or disabled
+// Critical components (listeners, certificate, API keys) make the server fail; the others can only degrade it,
+// so an OpenShock or YouTube outage (or an emergency stop) never takes the server and its admin endpoints offline
+// detailed adds error messages and the lockout reason (for callers with a read key)
+const getComponentHealth = ({ detailed = false } = {}) => {
+  const listenerStatus = (server) => {
+    if (!server) {
+      return 'starting';
+    }
+    return server.listening ? 'ok' : 'failing';
+  };
+  const components = {
+    http: { status: listenerStatus(httpServer), critical: true, port: HTTP_PORT },
+    https: { status: listenerStatus(httpsServer), critical: true, port: HTTPS_PORT }
+  };
+
+  const certificate = getCertificateInfo();
+  if (!certificate) {
+    components.certificate = { status: 'starting', critical: true };
+  } else {
+    let status = 'ok';
+    if (certificate.daysLeft <= 0) {
+      status = 'failing';
+    } else if (certificate.daysLeft < config.health.certificateWarningDays || (certificate.source === 'self-signed' && domain !== 'localhost')) {
+      // Browsers and webhook senders reject a self-signed certificate on a public domain
+      status = 'degraded';
+    }
+    components.certificate = { status, critical: true, domain, ...certificate };
+  }
+
+  components.apiKeys = {
+    status: apiKeyStoreError ? 'failing' : 'ok',
+    critical: true,
+    keys: apiKeyStore.keys.size,
+    error: detailed ? apiKeyStoreError || undefined : undefined
+  };
+
+  if (!config.drivers.enabled.includes('openshock')) {
+    components.openshock = { status: 'disabled', critical: false };
+  } else if (!openShockProbe) {
+    components.openshock = { status: 'starting', critical: false, apiUrl: config.openshock.apiUrl };
+  } else {
+    components.openshock = {
+      status: openShockProbe.reachable ? 'ok' : 'degraded',
+      critical: false,
+      apiUrl: openShockProbe.apiUrl,
+      statusCode: openShockProbe.statusCode,
+      latencyMs: openShockProbe.latencyMs,
+      checkedAt: openShockProbe.checkedAt,
+      error: detailed ? openShockProbe.error || undefined : undefined
+    };
+  }
+
+  if (!youtubeMonitor) {
+    components.youtube = { status: 'disabled', critical: false };
+  } else {
+    const monitor = youtubeMonitor.getStatus();
+    const failingChannels = monitor.channels.filter(channel => channel.consecutiveErrors > 0);
+    components.youtube = {
+      status: failingChannels.length > 0 || monitor.quota.exhausted ? 'degraded' : 'ok',
+      critical: false,
+      // The monitor only polls while broadcast subscribers are connected
+      running: monitor.running,
+      quotaExhausted: monitor.quota.exhausted,
+      channels: monitor.channels.map(channel => ({
+        name: channel.name,
+        lastCount: channel.lastCount,
+        lastPolledAt: channel.lastPolledAt,
+        consecutiveErrors: channel.consecutiveErrors,
+        lastErrorAt: channel.lastErrorAt,
+        lastError: detailed ? channel.lastError || undefined : undefined
+      }))
+    };
+  }
+
+  components.subscribers = {
+    status: 'ok',
+    critical: false,
+    clients: connectedClients.size,
+    subscribers: broadcastSubscribers.size,
+    // Dropped subscribers that can still resume within the grace period
+    suspended: subscriberSessions.getStatus().suspended
+  };
+
+  components.lockout = {
+    status: broadcastLockout.locked ? 'degraded' : 'ok',
+    critical: false,
+    locked: broadcastLockout.locked,
+    lockedAt: broadcastLockout.lockedAt,
+    reason: detailed ? broadcastLockout.reason || undefined : undefined
+  };
+
+  const statuses = Object.values(components);
+  let status = 'ok';
+  if (statuses.some(component => component.critical && component.status === 'failing')) {
+    status = 'failing';
+  } else if (statuses.some(component => component.critical && component.status === 'starting')) {
+    status = 'starting';
+  } else if (statuses.some(component => component.status === 'degraded')) {
+    status = 'degraded';
+  }
+  return { status, components };
+};
+
+// Health report for a request; an optional read-scoped ?apiKey= adds error details
+const buildHealthReport = (req) => {
+  const detailed = !!req.query.apiKey && validateApiKey(req.query.apiKey, 'read');
+  return {
+    ...getComponentHealth({ detailed }),
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime())
+  };
+};
+
+// Liveness: 503 only when a critical component has failed (starting up still counts as alive)
+app.get('/health', (req, res) => {
+  const report = buildHealthReport(req);
+  res.status(report.status === 'failing' ? 503 : 200).json({
+    ...report,
+    shocker: {
+      isOn: shockerState.isOn,
+      currentIntensity: shockerState.currentIntensity,
+      currentTime: shockerState.currentTime
+    }
+  });
+});
+
+// Readiness: 503 until every critical component is up, and whenever one fails
+// Degraded components (OpenShock, YouTube, lockout) are reported but keep the server ready
+app.get('/ready', (req, res) => {
+  const report = buildHealthReport(req);
+  res.status(report.status === 'ok' || report.status === 'degraded' ? 200 : 503).json(report);
+});
+
+// Prometheus metrics, protected by metrics.token (METRICS_TOKEN) as a bearer token when it is set
+app.get('/metrics', (req, res) => {
+  const token = config.metrics.token;
+  if (token) {
+    const presented = Buffer.from(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+      res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+      return res.status(401).json({ error: 'Unauthorized', message: 'A valid metrics token is required' });
+    }
+  }
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// Get shocker status
+app.get('/shocker/status', (req, res) => {
+  res.json({
+    isOn: shockerState.isOn,
+    currentIntensity: shockerState.currentIntensity,
+    currentTime: shockerState.currentTime,
+    lastActivated: shockerState.lastActivated
+  });
+});
+
+// Activate shocker
 app.post('/shocker/activate', (req, res) => {
   const { intensity, time } = req.body;
 
@@ -695,6 +1931,16 @@ app.post('/shocker/activate', (req, res) => {
   shockerState.currentTime = parseInt(time);
   shockerState.lastActivated = new Date().toISOString();
 
+  // The simulated shocker has no API key; record the key id when one is supplied
+  auditLog.record({
+    action: 'activate',
+    source: 'api',
+    keyId: req.body.apiKey && validateApiKey(req.body.apiKey) ? getApiKeyId(req.body.apiKey) : null,
+    parameters: { intensity: shockerState.currentIntensity, duration: shockerState.currentTime },
+    recipients: { clients: connectedClients.size },
+    outcome: { success: true, message: 'Shocker activated' }
+  });
+
   // Broadcast shock activation to all connected clients
   broadcastToClients({
     type: WS_MESSAGE_TYPES.SHOCK_ACTIVATED,
@@ -710,7 +1956,7 @@ app.post('/shocker/activate', (req, res) => {
   // Simulate shock duration (in a real implementation, this would control actual hardware)
   setTimeout(() => {
     shockerState.isOn = false;
-    console.log(`Shock completed: ${intensity}% intensity for ${time}ms`);
+    logger.info(`Shock completed: ${intensity}% intensity for ${time}ms`);
     
     // Broadcast shock completion to all connected clients
     broadcastToClients({
@@ -738,6 +1984,14 @@ app.post('/shocker/stop', (req, res) => {
   shockerState.currentIntensity = 0;
   shockerState.currentTime = 0;
 
+  auditLog.record({
+    action: 'stop',
+    source: 'api',
+    keyId: req.body.apiKey && validateApiKey(req.body.apiKey) ? getApiKeyId(req.body.apiKey) : null,
+    recipients: { clients: connectedClients.size },
+    outcome: { success: true, message: 'Shocker stopped' }
+  });
+
   // Broadcast shock stop to all connected clients
   broadcastToClients({
     type: WS_MESSAGE_TYPES.SHOCK_STOPPED,
@@ -751,69 +2005,1459 @@ app.post('/shocker/stop', (req, res) => {
 
   res.json({
     success: true,
-    message: 'Shocker stopped',
-    shocker: {
-      isOn: shockerState.isOn,
-      intensity: shockerState.currentIntensity,
-      time: shockerState.currentTime
-    }
+    message: 'Shocker stopped',
+    shocker: {
+      isOn: shockerState.isOn,
+      intensity: shockerState.currentIntensity,
+      time: shockerState.currentTime
+    }
+  });
+});
+
+// Broadcast message to all WebSocket clients
+app.post('/broadcast', async (req, res) => {
+  const { intensity, duration, type, pattern, apiKey } = req.body;
+  const channel = req.body.channel === undefined ? DEFAULT_CHANNEL : String(req.body.channel).toLowerCase();
+
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'broadcast');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+
+  if (!ApiKeyStore.allowsChannel(auth, channel)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key may not broadcast to channel "${channel}"`
+    });
+  }
+
+  // Use the extracted executeBroadcast function (now async)
+  // Note: shockers are automatically collected from the channel's subscribers via subscribe_broadcast
+  // A named pattern replaces intensity/duration/type
+  const options = { keyId: auth.keyId, source: 'api', channel };
+  const result = pattern
+    ? await executePattern(String(pattern), options)
+    : await executeBroadcast(intensity, duration, type, options);
+  
+  if (result.success) {
+    res.json(result);
+  } else if (result.error === 'Rate limited') {
+    res.set('Retry-After', String(result.retryAfter));
+    res.status(429).json(result);
+  } else if (result.error === 'Queue full') {
+    res.status(503).json(result);
+  } else if (result.error === 'Delivery failed') {
+    res.status(502).json(result);
+  } else if (result.error === 'Locked out') {
+    res.status(423).json(result);
+  } else if (result.error === 'Unknown pattern') {
+    res.status(404).json(result);
+  } else if (result.error === 'Cancelled') {
+    res.status(409).json(result);
+  } else {
+    const statusCode = result.error === 'Missing required parameters' || 
+                       result.error === 'Invalid type' || 
+                       result.error === 'Invalid channel' || 
+                       result.error === 'Invalid intensity' || 
+                       result.error === 'Invalid duration' ||
+                       result.error === 'Exceeds budget' ? 400 : 500;
+    res.status(statusCode).json(result);
+  }
+});
+
+// Cancel the running broadcast or pattern (or a pending job by id)
+app.post('/broadcast/cancel', (req, res) => {
+  const { apiKey, jobId } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'broadcast');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  // Channel-restricted keys can only cancel jobs in their channels
+  const target = broadcastQueue.find(jobId);
+  if (target && !ApiKeyStore.allowsChannel(auth, target.channel)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key may not cancel broadcasts in channel "${target.channel}"`
+    });
+  }
+  
+  const cancelled = broadcastQueue.cancel(jobId);
+  if (!cancelled) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: jobId !== undefined ? `No queued or running job #${jobId}` : 'No broadcast is running'
+    });
+  }
+  
+  logger.info(`⏹️  Broadcast ${jobId !== undefined ? `job #${jobId}` : 'in progress'} cancelled by api key ${auth.keyId}`);
+  res.json({
+    success: true,
+    message: cancelled === 'running' ? 'Running broadcast cancelled' : 'Pending broadcast removed from the queue',
+    queue: broadcastQueue.getStatus()
+  });
+});
+
+// Summary of a stored pattern including its expanded length
+const describePattern = (pattern) => {
+  const expanded = patternLibrary.expand(pattern.name);
+  return {
+    ...pattern,
+    expandedSteps: expanded.steps.length,
+    totalDuration: expanded.totalDuration
+  };
+};
+
+// List patterns
+app.get('/patterns', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'read');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const patterns = patternLibrary.list().map(describePattern);
+  res.json({
+    success: true,
+    count: patterns.length,
+    patterns
+  });
+});
+
+// Get one pattern
+app.get('/patterns/:name', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'read');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const pattern = patternLibrary.get(req.params.name);
+  if (!pattern) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Pattern "${req.params.name}" not found`
+    });
+  }
+  
+  res.json({
+    success: true,
+    pattern: describePattern(pattern)
+  });
+});
+
+// Create (POST /patterns) or replace (PUT /patterns/:name) a pattern
+const savePattern = (create) => (req, res) => {
+  const { apiKey, description, steps } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const name = create ? req.body.name : req.params.name;
+  const result = patternLibrary.put(name, { description, steps }, { create });
+  if (!result.valid) {
+    const statusCode = result.conflict ? 409 : result.notFound ? 404 : 400;
+    return res.status(statusCode).json({
+      error: result.conflict ? 'Conflict' : result.notFound ? 'Not found' : 'Invalid pattern',
+      message: result.message
+    });
+  }
+  
+  logger.info(`🎵 Pattern "${name}" ${create ? 'created' : 'updated'} (${result.expanded.steps.length} steps, ${result.expanded.totalDuration}ms)`);
+  res.status(create ? 201 : 200).json({
+    success: true,
+    pattern: describePattern(result.pattern)
+  });
+};
+
+app.post('/patterns', savePattern(true));
+app.put('/patterns/:name', savePattern(false));
+
+// Delete a pattern
+app.delete('/patterns/:name', (req, res) => {
+  const apiKey = req.query.apiKey || (req.body && req.body.apiKey);
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  if (!patternLibrary.delete(req.params.name)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Pattern "${req.params.name}" not found`
+    });
+  }
+  
+  logger.info(`🎵 Pattern "${req.params.name}" deleted`);
+  res.json({
+    success: true,
+    message: `Pattern "${req.params.name}" deleted`
+  });
+});
+
+// List automation rules
+app.get('/rules', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'read');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const rules = ruleEngine.list();
+  res.json({
+    success: true,
+    count: rules.length,
+    rules
+  });
+});
+
+// Get one rule
+app.get('/rules/:name', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'read');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const rule = ruleEngine.get(req.params.name);
+  if (!rule) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Rule "${req.params.name}" not found`
+    });
+  }
+  
+  res.json({
+    success: true,
+    rule: ruleEngine.describe(rule)
+  });
+});
+
+// Create (POST /rules) or replace (PUT /rules/:name) a rule
+const saveRule = (create) => (req, res) => {
+  const { apiKey, description, enabled, event, conditions, milestone, schedule, action } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const channel = action && action.channel !== undefined ? String(action.channel).toLowerCase() : DEFAULT_CHANNEL;
+  if (!ApiKeyStore.allowsChannel(auth, channel)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key may not target channel "${channel}"`
+    });
+  }
+  
+  const name = create ? req.body.name : req.params.name;
+  const result = ruleEngine.put(name, { description, enabled, event, conditions, milestone, schedule, action }, { create });
+  if (!result.valid) {
+    const statusCode = result.conflict ? 409 : result.notFound ? 404 : 400;
+    return res.status(statusCode).json({
+      error: result.conflict ? 'Conflict' : result.notFound ? 'Not found' : 'Invalid rule',
+      message: result.message
+    });
+  }
+  
+  logger.info(`📜 Rule "${name}" ${create ? 'created' : 'updated'} (${result.rule.event}${result.rule.enabled ? '' : ', disabled'}) by api key ${auth.keyId}`);
+  auditLog.record({
+    action: create ? 'rule_created' : 'rule_updated',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: result.rule,
+    outcome: { success: true }
+  });
+  res.status(create ? 201 : 200).json({
+    success: true,
+    rule: ruleEngine.describe(result.rule)
+  });
+};
+
+app.post('/rules', saveRule(true));
+app.put('/rules/:name', saveRule(false));
+
+// Delete a rule
+app.delete('/rules/:name', (req, res) => {
+  const apiKey = req.query.apiKey || (req.body && req.body.apiKey);
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  if (!ruleEngine.delete(req.params.name)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Rule "${req.params.name}" not found`
+    });
+  }
+  
+  logger.info(`📜 Rule "${req.params.name}" deleted by api key ${auth.keyId}`);
+  auditLog.record({
+    action: 'rule_deleted',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { name: req.params.name },
+    outcome: { success: true }
+  });
+  res.json({
+    success: true,
+    message: `Rule "${req.params.name}" deleted`
+  });
+});
+
+// Post a webhook event to the rule engine
+// Only rules targeting channels the key may use are evaluated
+app.post('/events/webhook', async (req, res) => {
+  const { apiKey, source, amount } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'broadcast');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  if (typeof source !== 'string' || source.length === 0 || source.length > 64) {
+    return res.status(400).json({
+      error: 'Invalid event',
+      message: 'source must be a string of at most 64 characters'
+    });
+  }
+  if (amount !== undefined && (typeof amount !== 'number' || !isFinite(amount) || amount < 0)) {
+    return res.status(400).json({
+      error: 'Invalid event',
+      message: 'amount must be a non-negative number'
+    });
+  }
+  
+  const fired = await ruleEngine.handle('webhook', { source, amount }, {
+    allowRule: (rule) => ApiKeyStore.allowsChannel(auth, rule.action.channel)
+  });
+  logger.info(`📨 Webhook event "${source}" from api key ${auth.keyId} fired ${fired.length} rule(s)`);
+  res.json({
+    success: true,
+    message: `${fired.length} rule(s) fired`,
+    fired
+  });
+});
+
+// Inbound webhook endpoints for donation and alert platforms
+const webhookEndpoints = new WebhookEndpoints({
+  storage,
+  validateIntensity,
+  validateTime
+});
+
+// Receive a webhook from a donation or alert platform
+// The request is verified with the endpoint's secret, its amount mapped to a broadcast and queued as an automatic
+// trigger from "webhook:<name>"; rules listening for webhook events from that source fire too
+app.post('/webhooks/:name', (req, res) => {
+  const endpoint = webhookEndpoints.get(req.params.name);
+  if (!endpoint || !endpoint.enabled) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Webhook "${req.params.name}" not found`
+    });
+  }
+  
+  const parsed = WebhookEndpoints.parse(endpoint, req.body);
+  const verified = webhookEndpoints.verify(endpoint, req, parsed);
+  if (!verified.valid) {
+    logger.info(`🚫 Webhook "${endpoint.name}" rejected: ${verified.message}`);
+    return res.status(verified.status).json({
+      error: verified.error,
+      message: verified.message
+    });
+  }
+  webhookEndpoints.markReceived(endpoint);
+  if (!parsed) {
+    return res.status(400).json({
+      error: 'Invalid payload',
+      message: `Could not read an amount from the ${endpoint.provider} payload`
+    });
+  }
+  
+  const source = `webhook:${endpoint.name}`;
+  const broadcast = mapAmount(endpoint.mapping, parsed.amount);
+  logger.info(`📨 Webhook "${endpoint.name}": ${parsed.kind || 'event'} of ${parsed.amount}${parsed.currency ? ` ${parsed.currency}` : ''}${parsed.name ? ` from ${parsed.name}` : ''}`);
+  
+  // Platforms retry slow responses, so answer before the broadcast has run
+  res.status(202).json({
+    success: true,
+    message: broadcast ? 'Broadcast queued' : `Amount is below the minimum of ${endpoint.mapping.minAmount}`,
+    amount: parsed.amount,
+    broadcast
+  });
+  
+  if (broadcast) {
+    executeBroadcast(broadcast.intensity, broadcast.duration, broadcast.type, { source, channel: broadcast.channel })
+      .then((result) => {
+        if (result.success) {
+          logger.info(`✅ Webhook "${endpoint.name}" sent ${broadcast.type} ${broadcast.intensity}% for ${broadcast.duration}ms to channel "${broadcast.channel}"`);
+        } else {
+          logger.error(`❌ Webhook "${endpoint.name}" broadcast failed: ${result.message}`);
+        }
+      })
+      .catch((error) => {
+        logger.error(`❌ Webhook "${endpoint.name}" broadcast error: ${error.message}`);
+      });
+  }
+  ruleEngine.handle('webhook', { source, amount: parsed.amount })
+    .catch((error) => {
+      logger.error(`❌ Rule error: ${error.message}`);
+    });
+});
+
+// List inbound webhook endpoints (admin endpoint)
+app.get('/admin/webhooks', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  res.json({
+    success: true,
+    webhooks: webhookEndpoints.list()
+  });
+});
+
+// Create an inbound webhook endpoint (admin endpoint)
+// The secret and URL are only returned in this response
+app.post('/admin/webhooks', (req, res) => {
+  const { apiKey, name, provider, authMode, header, secret, mapping, amountField, nameField } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const channel = mapping && mapping.channel !== undefined ? String(mapping.channel).toLowerCase() : DEFAULT_CHANNEL;
+  if (!ApiKeyStore.allowsChannel(auth, channel)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key may not target channel "${channel}"`
+    });
+  }
+  
+  const result = webhookEndpoints.create({ name, provider, authMode, header, secret, mapping, amountField, nameField });
+  if (!result.valid) {
+    return res.status(result.conflict ? 409 : 400).json({
+      error: result.conflict ? 'Conflict' : 'Invalid webhook',
+      message: result.message
+    });
+  }
+  
+  const { endpoint } = result;
+  logger.info(`📨 Webhook "${endpoint.name}" (${endpoint.provider}, ${endpoint.auth.mode}) created by api key ${auth.keyId}`);
+  auditLog.record({
+    action: 'webhook_created',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { name: endpoint.name, provider: endpoint.provider, auth: endpoint.auth, mapping: endpoint.mapping },
+    outcome: { success: true }
+  });
+  res.status(201).json({
+    success: true,
+    message: 'Webhook created. Store the secret now - it cannot be shown again.',
+    url: `${req.protocol}://${req.get('host')}/webhooks/${endpoint.name}`,
+    secret: result.secret,
+    webhook: WebhookEndpoints.describe(endpoint)
+  });
+});
+
+// Delete an inbound webhook endpoint (admin endpoint)
+app.delete('/admin/webhooks/:name', (req, res) => {
+  const apiKey = req.query.apiKey || (req.body && req.body.apiKey);
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  if (!webhookEndpoints.delete(req.params.name)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Webhook "${req.params.name}" not found`
+    });
+  }
+  
+  logger.info(`📨 Webhook "${req.params.name}" deleted by api key ${auth.keyId}`);
+  auditLog.record({
+    action: 'webhook_deleted',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { name: req.params.name },
+    outcome: { success: true }
+  });
+  res.json({
+    success: true,
+    message: `Webhook "${req.params.name}" deleted`
+  });
+});
+
+// List outbound webhooks (admin endpoint)
+app.get('/admin/outbound-webhooks', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  res.json({
+    success: true,
+    events: OUTBOUND_EVENTS,
+    webhooks: outboundWebhooks.list()
+  });
+});
+
+// Register an outbound webhook (admin endpoint)
+// The signing secret is only returned in this response
+app.post('/admin/outbound-webhooks', (req, res) => {
+  const { apiKey, url, events, description, secret } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const result = outboundWebhooks.create({ url, events, description, secret });
+  if (!result.valid) {
+    return res.status(400).json({
+      error: 'Invalid webhook',
+      message: result.message
+    });
+  }
+  
+  const { webhook } = result;
+  logger.info(`📤 Outbound webhook ${webhook.id} (${webhook.events.join(', ')}) registered by api key ${auth.keyId}`);
+  auditLog.record({
+    action: 'outbound_webhook_created',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { id: webhook.id, url: webhook.url, events: webhook.events },
+    outcome: { success: true }
+  });
+  res.status(201).json({
+    success: true,
+    message: 'Webhook registered. Store the secret now - it cannot be shown again.',
+    secret: result.secret,
+    webhook: outboundWebhooks.describe(webhook)
+  });
+});
+
+// Remove an outbound webhook with its pending retries and dead letters (admin endpoint)
+app.delete('/admin/outbound-webhooks/:id', (req, res) => {
+  const apiKey = req.query.apiKey || (req.body && req.body.apiKey);
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  if (!outboundWebhooks.delete(req.params.id)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Outbound webhook ${req.params.id} not found`
+    });
+  }
+  
+  logger.info(`📤 Outbound webhook ${req.params.id} removed by api key ${auth.keyId}`);
+  auditLog.record({
+    action: 'outbound_webhook_deleted',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { id: req.params.id },
+    outcome: { success: true }
+  });
+  res.json({
+    success: true,
+    message: `Outbound webhook ${req.params.id} removed`
+  });
+});
+
+// List deliveries that failed every attempt (admin endpoint)
+app.get('/admin/outbound-webhooks/dead-letters', (req, res) => {
+  const { apiKey, webhookId } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const deadLetters = outboundWebhooks.listDeadLetters(webhookId || null);
+  res.json({
+    success: true,
+    count: deadLetters.length,
+    deadLetters
+  });
+});
+
+// Send a dead letter again (admin endpoint)
+// Resolves after the first attempt; further failures are retried as usual
+app.post('/admin/outbound-webhooks/dead-letters/:id/redeliver', async (req, res) => {
+  const { apiKey } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const { found, result } = await outboundWebhooks.redeliver(req.params.id);
+  if (!found) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Dead letter ${req.params.id} not found`
+    });
+  }
+  
+  logger.info(`📤 Dead letter ${req.params.id} redelivered by api key ${auth.keyId}: ${result.success ? 'delivered' : result.error}`);
+  res.json({
+    success: result.success,
+    message: result.success ? 'Delivered' : `Delivery failed (${result.error}), retrying with backoff`,
+    statusCode: result.statusCode
+  });
+});
+
+// Drop a dead letter without sending it (admin endpoint)
+app.delete('/admin/outbound-webhooks/dead-letters/:id', (req, res) => {
+  const apiKey = req.query.apiKey || (req.body && req.body.apiKey);
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  if (!outboundWebhooks.discard(req.params.id)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Dead letter ${req.params.id} not found`
+    });
+  }
+  res.json({
+    success: true,
+    message: `Dead letter ${req.params.id} discarded`
+  });
+});
+
+// Twitch EventSub receiver (disabled unless twitch.eventSubSecret is set, replaced when it is reloaded)
+const createTwitchEventSub = () => (config.twitch.eventSubSecret
+  ? new EventSubReceiver({ secret: config.twitch.eventSubSecret })
+  : null);
+let twitchEventSub = createTwitchEventSub();
+
+// Twitch EventSub webhook callback
+// Verified notifications become rule events (follow, subscription, gift_sub, bits, redemption) from source "twitch"
+app.post('/twitch/eventsub', (req, res) => {
+  if (!twitchEventSub) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Twitch EventSub is not configured. Set twitch.eventSubSecret (TWITCH_EVENTSUB_SECRET).'
+    });
+  }
+  
+  const verified = twitchEventSub.verify(req.headers, req.rawBody);
+  if (!verified.valid) {
+    if (verified.duplicate) {
+      // Twitch retries deliveries it thinks failed; acknowledge without acting twice
+      return res.status(204).end();
+    }
+    logger.info(`🚫 Twitch EventSub delivery rejected: ${verified.message}`);
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: verified.message
+    });
+  }
+  
+  const { subscription, challenge, event } = req.body;
+  const subscriptionType = subscription ? subscription.type : 'unknown';
+  
+  if (verified.type === 'webhook_callback_verification') {
+    logger.info(`🟣 Twitch EventSub subscription ${subscriptionType} verified`);
+    return res.status(200).type('text/plain').send(String(challenge));
+  }
+  if (verified.type === 'revocation') {
+    logger.info(`⚠️  Twitch EventSub subscription ${subscriptionType} revoked: ${subscription ? subscription.status : 'unknown reason'}`);
+    return res.status(204).end();
+  }
+  if (verified.type !== 'notification' || !event) {
+    return res.status(204).end();
+  }
+  
+  const broadcasterId = config.twitch.broadcasterUserId;
+  if (broadcasterId && event.broadcaster_user_id !== broadcasterId) {
+    logger.info(`🚫 Twitch EventSub ${subscriptionType} ignored: broadcaster ${event.broadcaster_user_id} is not ${broadcasterId}`);
+    return res.status(204).end();
+  }
+  
+  const mapped = mapNotification(subscriptionType, event);
+  if (!mapped) {
+    return res.status(204).end();
+  }
+  
+  // Acknowledge right away; Twitch retries slow responses and broadcasts may wait in the queue
+  res.status(204).end();
+  logger.info(`🟣 Twitch ${mapped.event}${mapped.user ? ` from ${mapped.user}` : ''} (${mapped.amount})${mapped.reward ? `: ${mapped.reward}` : ''}`);
+  ruleEngine.handle(mapped.event, { source: 'twitch', amount: mapped.amount, reward: mapped.reward })
+    .then((fired) => {
+      fired.forEach(({ rule, result }) => {
+        if (result.success) {
+          logger.info(`✅ Rule "${rule}" fired for Twitch ${mapped.event}`);
+        } else {
+          logger.error(`❌ Rule "${rule}" failed: ${result.message}`);
+        }
+      });
+    })
+    .catch((error) => {
+      logger.error(`❌ Rule error: ${error.message}`);
+    });
+});
+
+// YouTube monitor state: last count, errors, next poll and quota use per channel
+app.get('/youtube/monitor', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'read');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  if (!youtubeMonitor) {
+    return res.json({
+      success: true,
+      configured: false,
+      message: 'YouTube monitoring is not configured. Set YOUTUBE_API_KEY and YOUTUBE_CHANNEL_ID or youtube-channels.json'
+    });
+  }
+  
+  res.json({
+    success: true,
+    configured: true,
+    monitor: youtubeMonitor.getStatus()
+  });
+});
+
+// Emergency stop: stops every subscribed shocker and locks out broadcasts
+app.post('/emergency-stop', async (req, res) => {
+  const { apiKey, reason } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'broadcast');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const keyId = auth.keyId;
+  const result = await performEmergencyStop(`api key ${keyId}`, reason || 'Emergency stop requested via API', { source: 'api', keyId });
+  res.json({
+    success: true,
+    message: 'Emergency stop sent to all subscribed shockers. Broadcasts are locked out until re-armed.',
+    lockout: result.lockout,
+    flushed: result.flushed,
+    results: result.results
+  });
+});
+
+// Current emergency stop lockout state
+app.get('/admin/lockout', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'read');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  res.json({
+    success: true,
+    lockout: broadcastLockout
+  });
+});
+
+// Re-arm broadcasts after an emergency stop
+app.post('/admin/rearm', (req, res) => {
+  const { apiKey } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const keyId = auth.keyId;
+  const wasLocked = rearmBroadcasts(`api key ${keyId}`, { source: 'api', keyId });
+  res.json({
+    success: true,
+    message: wasLocked ? 'Broadcasts re-armed' : 'Broadcasts were not locked out',
+    lockout: broadcastLockout
+  });
+});
+
+// Current log level and format
+app.get('/admin/logging', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  res.json({
+    success: true,
+    logging: { level: logger.level, format: logger.format },
+    levels: LOG_LEVELS,
+    formats: LOG_FORMATS
+  });
+});
+
+// Change the log level or format without a restart (until the next config reload or restart)
+app.put('/admin/logging', (req, res) => {
+  const { apiKey, level, format } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  if ((level !== undefined && !LOG_LEVELS.includes(level)) || (format !== undefined && !LOG_FORMATS.includes(format))) {
+    return res.status(400).json({
+      error: 'Invalid logging settings',
+      message: `level must be one of: ${LOG_LEVELS.join(', ')}; format must be one of: ${LOG_FORMATS.join(', ')}`
+    });
+  }
+  
+  const previous = { level: logger.level, format: logger.format };
+  // Logged before the change so it is not hidden by a quieter level
+  logger.info(`🔧 Logging set to ${level || previous.level} (${format || previous.format}) by api key ${auth.keyId}`);
+  logger.configure({ level, format });
+  auditLog.record({
+    action: 'logging_changed',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { previous, level: logger.level, format: logger.format },
+    outcome: { success: true }
+  });
+  res.json({
+    success: true,
+    logging: { level: logger.level, format: logger.format }
+  });
+});
+
+// Pending broadcast queue
+app.get('/broadcast/queue', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'read');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  res.json({
+    success: true,
+    queue: broadcastQueue.getStatus()
+  });
+});
+
+// Channels that currently have subscribers, with member counts
+// Channel-restricted keys only see their own channels
+app.get('/broadcast/channels', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'read');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const channels = new Map();
+  (auth.channels || [DEFAULT_CHANNEL]).forEach(channel => channels.set(channel, { subscribers: 0, muted: 0, shockers: 0 }));
+  broadcastSubscribers.forEach(subscriberData => {
+    subscriberData.channels.filter(channel => ApiKeyStore.allowsChannel(auth, channel)).forEach(channel => {
+      if (!channels.has(channel)) {
+        channels.set(channel, { subscribers: 0, muted: 0, shockers: 0 });
+      }
+      const counts = channels.get(channel);
+      counts.subscribers++;
+      counts.shockers += subscriberData.shockers.length;
+      if (subscriberData.muted) {
+        counts.muted++;
+      }
+    });
+  });
+  res.json({
+    success: true,
+    channels: Array.from(channels.entries()).map(([name, counts]) => ({ name, ...counts }))
+  });
+});
+
+// List API keys (admin endpoint)
+// Only hashes are stored, so keys are listed by id, label and preview
+app.get('/admin/keys', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const keys = apiKeyStore.list();
+  res.json({
+    success: true,
+    count: keys.length,
+    keys
+  });
+});
+
+// Create an API key (admin endpoint)
+// The plaintext key is only returned in this response
+app.post('/admin/keys', (req, res) => {
+  const { apiKey, label, scopes, expiresAt, channels } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const checked = ApiKeyStore.validateOptions({ label, scopes, expiresAt, channels });
+  if (!checked.valid) {
+    return res.status(400).json({
+      error: 'Invalid key',
+      message: checked.message
+    });
+  }
+  
+  const { key, record } = apiKeyStore.create(checked.options);
+  logger.info(`🔑 API key ${record.id} ("${record.label}", ${record.scopes.join('/')}${record.channels ? `, channels ${record.channels.join(', ')}` : ''}) created by api key ${auth.keyId}`);
+  auditLog.record({
+    action: 'key_created',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { id: record.id, label: record.label, scopes: record.scopes, channels: record.channels, expiresAt: record.expiresAt },
+    outcome: { success: true }
+  });
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Store it now - it cannot be shown again.',
+    key,
+    record: ApiKeyStore.describe(record)
+  });
+});
+
+// Revoke an API key (admin endpoint)
+app.delete('/admin/keys/:id', (req, res) => {
+  const { apiKey } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const target = apiKeyStore.get(req.params.id);
+  if (!target) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `API key ${req.params.id} not found`
+    });
+  }
+  
+  // Keep at least one working admin key so the server can still be managed
+  const remainingAdmins = apiKeyStore.list().filter(key => key.status === 'active' && key.scopes.includes('admin') && key.id !== target.id);
+  if (target.scopes.includes('admin') && !target.revokedAt && remainingAdmins.length === 0) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'Cannot revoke the last active admin key'
+    });
+  }
+  
+  const record = apiKeyStore.revoke(target.id);
+  logger.info(`🔑 API key ${record.id} ("${record.label}") revoked by api key ${auth.keyId}`);
+  const disconnected = disconnectSubscribersForKey(record.id, 'Your access was revoked by an admin');
+  auditLog.record({
+    action: 'key_revoked',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { id: record.id, label: record.label },
+    outcome: { success: true, message: `${disconnected} subscriber(s) disconnected` }
+  });
+  res.json({
+    success: true,
+    message: 'API key revoked',
+    disconnected,
+    record: ApiKeyStore.describe(record)
+  });
+});
+
+// Rotate an API key: issue a replacement with the same label and scopes (admin endpoint)
+// graceSeconds keeps the old key working for a while (default: revoked immediately), expiresAt applies to the new key
+app.post('/admin/keys/:id/rotate', (req, res) => {
+  const { apiKey, graceSeconds, expiresAt } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const grace = graceSeconds === undefined ? 0 : parseInt(graceSeconds);
+  if (isNaN(grace) || grace < 0 || grace > 30 * 24 * 60 * 60) {
+    return res.status(400).json({
+      error: 'Invalid grace period',
+      message: 'graceSeconds must be a number between 0 and 2592000 (30 days)'
+    });
+  }
+  
+  let expiry = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+      return res.status(400).json({
+        error: 'Invalid key',
+        message: 'expiresAt must be a future ISO 8601 timestamp'
+      });
+    }
+    expiry = expiry.toISOString();
+  }
+  
+  const rotated = apiKeyStore.rotate(req.params.id, { graceMs: grace * 1000, expiresAt: expiry });
+  if (!rotated) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `API key ${req.params.id} not found or already revoked`
+    });
+  }
+  
+  logger.info(`🔑 API key ${rotated.previous.id} rotated to ${rotated.record.id} by api key ${auth.keyId}`);
+  // Subscribers on the old key must reconnect with the new one once it stops working
+  const disconnected = grace > 0 ? 0 : disconnectSubscribersForKey(rotated.previous.id, 'Your API key was rotated by an admin');
+  auditLog.record({
+    action: 'key_rotated',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { id: rotated.previous.id, newId: rotated.record.id, graceSeconds: grace },
+    outcome: { success: true, message: `${disconnected} subscriber(s) disconnected` }
+  });
+  res.json({
+    success: true,
+    message: grace > 0
+      ? `API key rotated. The old key stays valid until ${rotated.previous.expiresAt}. Store the new key now - it cannot be shown again.`
+      : 'API key rotated and the old key revoked. Store the new key now - it cannot be shown again.',
+    key: rotated.key,
+    disconnected,
+    record: ApiKeyStore.describe(rotated.record),
+    previous: ApiKeyStore.describe(rotated.previous)
+  });
+});
+
+// List subscriber invites (admin endpoint)
+app.get('/admin/invites', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const invites = apiKeyStore.listInvites();
+  res.json({
+    success: true,
+    count: invites.length,
+    invites
+  });
+});
+
+// Create a single-use subscriber invite (admin endpoint)
+// The invite code and link are only returned in this response
+app.post('/admin/invites', (req, res) => {
+  const { apiKey, label, expiresAt, channels } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  // Invites always grant the subscribe scope, so only the label, expiry and channels are checked
+  const checked = ApiKeyStore.validateOptions({ label, scopes: ['subscribe'], expiresAt, channels });
+  if (!checked.valid) {
+    return res.status(400).json({
+      error: 'Invalid invite',
+      message: checked.message
+    });
+  }
+  
+  const { code, invite } = apiKeyStore.createInvite({
+    label: checked.options.label,
+    expiresAt: checked.options.expiresAt,
+    channels: checked.options.channels,
+    createdBy: auth.keyId
+  });
+  logger.info(`🎟️  Invite ${invite.id} ("${invite.label}") created by api key ${auth.keyId}, expires ${invite.expiresAt}`);
+  auditLog.record({
+    action: 'invite_created',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { id: invite.id, label: invite.label, channels: invite.channels, expiresAt: invite.expiresAt },
+    outcome: { success: true }
+  });
+  res.status(201).json({
+    success: true,
+    message: 'Invite created. Share the link now - it cannot be shown again and works once.',
+    invite: code,
+    link: `${req.secure ? 'wss' : 'ws'}://${req.get('host')}/ws?invite=${code}`,
+    record: ApiKeyStore.describeInvite(invite)
+  });
+});
+
+// Withdraw an unredeemed invite (admin endpoint)
+// Revoke a redeemed invite's key via DELETE /admin/keys/:id instead
+app.delete('/admin/invites/:id', (req, res) => {
+  const { apiKey } = req.body;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const invite = apiKeyStore.revokeInvite(req.params.id);
+  if (!invite) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Invite ${req.params.id} not found`
+    });
+  }
+  if (invite.redeemedAt) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Invite ${invite.id} was already redeemed as key ${invite.keyId}. Revoke that key instead.`
+    });
+  }
+  
+  logger.info(`🎟️  Invite ${invite.id} revoked by api key ${auth.keyId}`);
+  auditLog.record({
+    action: 'invite_revoked',
+    source: 'api',
+    keyId: auth.keyId,
+    parameters: { id: invite.id, label: invite.label },
+    outcome: { success: true }
+  });
+  res.json({
+    success: true,
+    message: 'Invite revoked',
+    record: ApiKeyStore.describeInvite(invite)
+  });
+});
+
+// Connected WebSocket clients on both servers (admin endpoint)
+app.get('/admin/clients', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const clients = Array.from(connectedClients).filter(ws => connectionInfo.has(ws)).map(describeClient);
+  res.json({
+    success: true,
+    count: clients.length,
+    clients
   });
 });
 
-// Broadcast message to all WebSocket clients
-app.post('/broadcast', async (req, res) => {
-  const { intensity, duration, type, apiKey } = req.body;
+// Broadcast subscribers, plus sessions waiting to be resumed (admin endpoint)
+app.get('/admin/subscribers', (req, res) => {
+  const { apiKey } = req.query;
+  
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const subscribers = Array.from(broadcastSubscribers.keys()).filter(ws => connectionInfo.has(ws)).map(describeClient);
+  res.json({
+    success: true,
+    count: subscribers.length,
+    subscribers,
+    sessions: subscriberSessions.getStatus()
+  });
+});
 
+// Kick, mute, unmute or unsubscribe a client (admin endpoint)
+// Body: { apiKey, reason }
+app.post('/admin/clients/:id/:action', (req, res) => {
+  const { apiKey, reason } = req.body;
+  
   // Validate API key
-  if (!apiKey || !validateApiKey(apiKey)) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Valid API key is required'
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const result = performClientAction(req.params.id, req.params.action, reason, auth.keyId);
+  if (!result.success) {
+    return res.status(result.status).json({
+      error: result.error,
+      message: result.message
     });
   }
+  res.json(result);
+});
 
-  // Use the extracted executeBroadcast function (now async)
-  // Note: shockers are automatically collected from subscribed clients via subscribe_broadcast
-  const result = await executeBroadcast(intensity, duration, type);
+// Parse an audit time filter (ISO 8601 or epoch milliseconds), null when omitted
+const parseAuditTime = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Query the audit log (admin endpoint)
+// Filters: from, to, keyId, source, action, limit; format=csv exports CSV instead of JSON
+app.get('/admin/audit', async (req, res) => {
+  const { apiKey, keyId, source, action, format = 'json' } = req.query;
   
-  if (result.success) {
-    res.json(result);
-  } else {
-    const statusCode = result.error === 'Missing required parameters' || 
-                       result.error === 'Invalid type' || 
-                       result.error === 'Invalid intensity' || 
-                       result.error === 'Invalid duration' ? 400 : 500;
-    res.status(statusCode).json(result);
+  // Validate API key
+  const auth = authenticateApiKey(apiKey, 'admin');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const from = parseAuditTime(req.query.from);
+  const to = parseAuditTime(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({
+      error: 'Invalid time range',
+      message: 'from and to must be ISO 8601 timestamps or epoch milliseconds'
+    });
+  }
+  
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit);
+  if (isNaN(limit) || limit < 1 || limit > 10000) {
+    return res.status(400).json({
+      error: 'Invalid limit',
+      message: 'limit must be a number between 1 and 10000'
+    });
+  }
+  
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: 'format must be either "json" or "csv"'
+    });
+  }
+  
+  try {
+    const entries = await auditLog.query({ from, to, keyId, source, action, limit });
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="audit.csv"');
+      return res.send(AuditLog.toCsv(entries));
+    }
+    res.json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    logger.error('Audit log query error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to read the audit log'
+    });
   }
 });
 
-// List API keys (admin endpoint)
-app.get('/admin/keys', (req, res) => {
+// Recent commands recorded by the simulator driver
+app.get('/simulator/commands', (req, res) => {
   const { apiKey } = req.query;
   
   // Validate API key
-  if (!apiKey || !validateApiKey(apiKey)) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Valid API key is required'
+  const auth = authenticateApiKey(apiKey, 'read');
+  if (!auth.valid) {
+    return res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message
+    });
+  }
+  
+  const simulator = deviceDrivers.get('simulator');
+  if (!simulator) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Simulator driver is not enabled'
     });
   }
   
-  const keysArray = Array.from(apiKeys);
+  const commands = simulator.getRecordedCommands();
   res.json({
     success: true,
-    count: keysArray.length,
-    keys: keysArray.map((key, index) => ({
-      id: index + 1,
-      key: key,
-      preview: key.substring(0, 8) + '...' + key.substring(key.length - 8)
-    }))
+    count: commands.length,
+    commands
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  logger.error(err.stack);
   res.status(500).json({
     error: 'Internal server error',
     message: 'Something went wrong!'
@@ -828,60 +3472,6 @@ app.use('*', (req, res) => {
   });
 });
 
-// YouTube subscriber count functionality
-const getYouTubeSubscriberCount = () => {
-  return new Promise((resolve, reject) => {
-    const youtubeApiKey = process.env.YOUTUBE_API_KEY;
-    const youtubeChannelId = process.env.YOUTUBE_CHANNEL_ID;
-    
-    if (!youtubeApiKey || !youtubeChannelId) {
-      reject(new Error('YouTube API key or Channel ID not configured. Set YOUTUBE_API_KEY and YOUTUBE_CHANNEL_ID in .env'));
-      return;
-    }
-    
-    const url = `https://www.googleapis.com/youtube/v3/channels?part=statistics,snippet&id=${encodeURIComponent(youtubeChannelId)}&key=${encodeURIComponent(youtubeApiKey)}`;
-    
-    https.get(url, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          
-          if (response.error) {
-            reject(new Error(`YouTube API Error: ${response.error.message || 'Unknown error'}`));
-            return;
-          }
-          
-          if (!response.items || response.items.length === 0) {
-            reject(new Error('Channel not found'));
-            return;
-          }
-          
-          const channel = response.items[0];
-          const subscriberCount = parseInt(channel.statistics.subscriberCount);
-          const channelName = channel.snippet.title;
-          
-          resolve({
-            subscriberCount,
-            channelName,
-            viewCount: parseInt(channel.statistics.viewCount),
-            videoCount: parseInt(channel.statistics.videoCount)
-          });
-        } catch (error) {
-          reject(new Error(`Failed to parse YouTube API response: ${error.message}`));
-        }
-      });
-    }).on('error', (error) => {
-      reject(new Error(`Failed to fetch YouTube data: ${error.message}`));
-    });
-  });
-};
-
 // Function to format subscriber count (e.g., 1234567 -> "1.23M")
 const formatSubscriberCount = (count) => {
   if (count >= 1000000) {
@@ -892,9 +3482,58 @@ const formatSubscriberCount = (count) => {
   return count.toString();
 };
 
-// Track previous subscriber count for change detection
-let previousSubscriberCount = null;
-let youtubeMonitoringInterval = null;
+// Monitored YouTube channels: youtube-channels.json, or YOUTUBE_CHANNEL_ID as a single channel named "main"
+const loadYouTubeChannels = () => {
+  const filePath = path.resolve(__dirname, config.youtube.channelsFile);
+  let definitions = [];
+  if (fs.existsSync(filePath)) {
+    definitions = JSON.parse(fs.readFileSync(filePath, 'utf8')).channels || [];
+  } else if (config.youtube.channelId) {
+    definitions = [{
+      name: 'main',
+      channelId: config.youtube.channelId,
+      intervalSeconds: config.youtube.pollIntervalSeconds
+    }];
+  }
+  const result = parseMonitorChannels(definitions);
+  if (!result.valid) {
+    throw new Error(`Invalid YouTube channels in ${filePath}: ${result.message}`);
+  }
+  return result.channels;
+};
+
+// Pass subscriber count changes to the rule engine as events from "youtube:<name>"
+const handleSubscriberUpdate = (channel, { previous, count, peak, channelName }) => {
+  const countString = `${formatSubscriberCount(count)} (${count.toLocaleString()})`;
+  if (previous === null || previous === count) {
+    logger.info(`📊 YouTube Subscribers: ${countString} | Channel: ${channelName}`);
+    return;
+  }
+  const change = count - previous;
+  if (change < 0) {
+    return;
+  }
+  logger.info(`📊 YouTube Subscribers: ${countString} | Channel: ${channelName} | Change: +${change.toLocaleString()}`);
+
+  // Let the rule engine decide what to trigger
+  ruleEngine.handle('sub_gained', { source: `youtube:${channel.name}`, previous, count, peak })
+    .then((fired) => {
+      fired.forEach(({ rule, action, result }) => {
+        const what = action.pattern ? `pattern "${action.pattern}"` : `${action.type} ${action.intensity}% for ${action.duration}ms`;
+        if (result.success) {
+          logger.info(`✅ Rule "${rule}" sent ${what} to channel "${action.channel}"`);
+        } else {
+          logger.error(`❌ Rule "${rule}" failed: ${result.message}`);
+        }
+      });
+    })
+    .catch((error) => {
+      logger.error(`❌ Rule error: ${error.message}`);
+    });
+};
+
+// YouTube monitor (null until configured in startServers)
+let youtubeMonitor = null;
 
 // Check if there are active broadcast subscribers
 const hasBroadcastSubscribers = () => {
@@ -909,129 +3548,338 @@ const hasBroadcastSubscribers = () => {
 
 // Start periodic YouTube subscriber count checking (only if there are broadcast subscribers)
 const startYouTubeSubscriberMonitoring = () => {
-  const youtubeApiKey = process.env.YOUTUBE_API_KEY;
-  const youtubeChannelId = process.env.YOUTUBE_CHANNEL_ID;
-  
-  // Broadcast configuration when subscriber count changes
-  const broadcastOnSubscriberChange = process.env.YOUTUBE_BROADCAST_ON_CHANGE === 'true';
-  const broadcastIntensity = parseInt(process.env.YOUTUBE_BROADCAST_INTENSITY || '50');
-  const broadcastDuration = parseInt(process.env.YOUTUBE_BROADCAST_DURATION || '1000');
-  const broadcastType = process.env.YOUTUBE_BROADCAST_TYPE || 'vibrate';
-  
-  if (!youtubeApiKey || !youtubeChannelId) {
-    console.log('⚠️  YouTube monitoring not started: YOUTUBE_API_KEY or YOUTUBE_CHANNEL_ID not set in environment');
+  if (!youtubeMonitor) {
+    logger.info('⚠️  YouTube monitoring not started: YOUTUBE_API_KEY or monitored channels not configured');
     return;
   }
   
   // Check if there are broadcast subscribers
   if (!hasBroadcastSubscribers()) {
-    console.log('📺 YouTube monitoring not started: No broadcast subscribers connected');
+    logger.info('📺 YouTube monitoring not started: No broadcast subscribers connected');
     return;
   }
   
-  // Clear any existing interval
-  if (youtubeMonitoringInterval) {
-    clearInterval(youtubeMonitoringInterval);
-    youtubeMonitoringInterval = null;
+  logger.info('📺 Starting YouTube subscriber count monitoring...');
+  youtubeMonitor.channels.forEach(channel => {
+    logger.info(`   ${channel.name}: ${channel.channelId} every ${youtubeMonitor.getEffectiveInterval(channel) / 1000}s`);
+  });
+  const youtubeRules = ruleEngine.list().filter(rule => rule.enabled && ['sub_gained', 'milestone'].includes(rule.event));
+  logger.info(`   📜 ${youtubeRules.length} rule(s) react to subscriber changes`);
+  youtubeMonitor.start();
+};
+
+// Function to check and start/restart YouTube monitoring when subscribers connect
+const checkAndStartYouTubeMonitoring = () => {
+  if (hasBroadcastSubscribers() && youtubeMonitor && !youtubeMonitor.running) {
+    // First active subscriber just connected, start monitoring
+    logger.info('📺 Broadcast subscriber connected, starting YouTube monitoring...');
+    startYouTubeSubscriberMonitoring();
   }
-  
-  console.log('📺 Starting YouTube subscriber count monitoring...');
-  console.log(`   Channel ID: ${youtubeChannelId}`);
-  console.log(`   Checking every 20 seconds`);
-  if (broadcastOnSubscriberChange) {
-    console.log(`   📡 Broadcast on subscriber change: ${broadcastType} ${broadcastIntensity}% for ${broadcastDuration}ms`);
+};
+
+// Outbound webhook payload for a subscriber joining or leaving (no device credentials)
+const describeSubscriberEvent = (subscriberData, details = {}) => ({
+  keyId: subscriberData.keyId,
+  channels: subscriberData.channels,
+  driver: subscriberData.driver,
+  shockers: subscriberData.shockers.length,
+  subscribers: broadcastSubscribers.size,
+  ...details
+});
+
+// Remove a client from the broadcast audience, returns false if it was not subscribed
+// keepSession suspends the subscription so it can be resumed (dropped connections); otherwise it ends
+const removeBroadcastSubscriber = (ws, keepSession = false) => {
+  const subscriberData = broadcastSubscribers.get(ws);
+  if (!subscriberData) {
+    return false;
   }
+  broadcastSubscribers.delete(ws);
+  if (keepSession) {
+    const { sessionId, resumeToken, ...subscription } = subscriberData;
+    subscriberSessions.suspend(sessionId, resumeToken, subscription);
+  } else {
+    subscriberSessions.end(subscriberData.sessionId);
+  }
+  outboundWebhooks.emit('subscriber_left', describeSubscriberEvent(subscriberData, {
+    reason: keepSession ? 'disconnected' : 'unsubscribed',
+    resumable: keepSession
+  }));
   
-  // Function to handle subscriber count updates
-  const handleSubscriberUpdate = (data) => {
-    // Check if we still have broadcast subscribers before processing
-    if (!hasBroadcastSubscribers()) {
-      console.log('📺 YouTube monitoring stopped: No broadcast subscribers remaining');
-      if (youtubeMonitoringInterval) {
-        clearInterval(youtubeMonitoringInterval);
-        youtubeMonitoringInterval = null;
-      }
+  // Stop YouTube monitoring if no subscribers remain
+  if (!hasBroadcastSubscribers() && youtubeMonitor && youtubeMonitor.running) {
+    logger.info('📺 Stopping YouTube monitoring: No broadcast subscribers remaining');
+    youtubeMonitor.stop();
+  }
+  return true;
+};
+
+// Disconnect every subscriber using an API key (e.g. after it was revoked)
+// Returns the number of clients disconnected
+const disconnectSubscribersForKey = (keyId, reason) => {
+  let disconnected = 0;
+  Array.from(broadcastSubscribers.entries()).forEach(([ws, subscriberData]) => {
+    if (subscriberData.keyId !== keyId) {
       return;
     }
-    const currentCount = data.subscriberCount;
-    const formattedCount = formatSubscriberCount(currentCount);
-    const countString = `${formattedCount} (${currentCount.toLocaleString()})`;
-    
-    // Check if subscriber count changed
-    if (previousSubscriberCount !== null && previousSubscriberCount !== currentCount) {
-      const change = currentCount - previousSubscriberCount;
-      if(change < 0) {
-        previousSubscriberCount = currentCount;
-        return;
-      }
-      const changeSign = change > 0 ? '+' : '';
-      console.log(`📊 YouTube Subscribers: ${countString} | Channel: ${data.channelName} | Change: ${changeSign}${change.toLocaleString()}`);
-      
-      // Execute broadcast if enabled
-      if (broadcastOnSubscriberChange) {
-        console.log(`🎉 Subscriber count changed! Triggering broadcast...`);
-        executeBroadcast(broadcastIntensity, broadcastDuration, broadcastType)
-          .then((result) => {
-            if (result.success) {
-              console.log(`✅ Broadcast sent: ${broadcastType} ${broadcastIntensity}% for ${broadcastDuration}ms`);
-            } else {
-              console.error(`❌ Broadcast failed: ${result.message}`);
-            }
-          })
-          .catch((error) => {
-            console.error(`❌ Broadcast error: ${error.message}`);
-          });
-      }
-    } else {
-      console.log(`📊 YouTube Subscribers: ${countString} | Channel: ${data.channelName}`);
+    removeBroadcastSubscriber(ws);
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: WS_MESSAGE_TYPES.ACCESS_REVOKED,
+        message: reason,
+        timestamp: new Date().toISOString()
+      }));
+      closeConnection(ws, WS_CLOSE_CODES.ACCESS_REVOKED, 'Access revoked');
     }
-    
-    // Update previous count
-    previousSubscriberCount = currentCount;
+    disconnected++;
+  });
+  // Suspended sessions of the key can no longer be resumed either
+  subscriberSessions.endForKey(keyId);
+  if (disconnected > 0) {
+    logger.info(`🚫 Disconnected ${disconnected} subscriber(s) using key ${keyId} (${broadcastSubscribers.size} remaining)`);
+  }
+  return disconnected;
+};
+
+// Admin view of one connection; the device token is masked by the driver's describe()
+const describeClient = (ws) => {
+  const info = connectionInfo.get(ws);
+  const subscriberData = broadcastSubscribers.get(ws);
+  const driver = subscriberData ? deviceDrivers.get(subscriberData.driver) : null;
+  return {
+    id: info.id,
+    address: info.address,
+    port: info.port,
+    transport: info.secure ? 'wss' : 'ws',
+    connectedAt: info.connectedAt,
+    admin: !!info.adminKeyId,
+    subscribed: !!subscriberData,
+    subscription: subscriberData ? {
+      keyId: subscriberData.keyId,
+      channels: subscriberData.channels,
+      driver: subscriberData.driver,
+      device: driver ? driver.describe(subscriberData.driverConfig) : null,
+      shockers: subscriberData.shockers.length,
+      limits: subscriberData.limits,
+      muted: subscriberData.muted,
+      lastHitAt: subscriberData.lastHitAt ? new Date(subscriberData.lastHitAt).toISOString() : null
+    } : null
   };
-  
-  // Fetch immediately
-  getYouTubeSubscriberCount()
-    .then(handleSubscriberUpdate)
-    .catch((error) => {
-      console.error(`❌ Error fetching YouTube subscriber count: ${error.message}`);
-    });
-  
-  // Then fetch every 20 seconds
-  youtubeMonitoringInterval = setInterval(() => {
-    // Check again if we still have subscribers before each check
-    if (!hasBroadcastSubscribers()) {
-      console.log('📺 YouTube monitoring stopped: No broadcast subscribers remaining');
-      clearInterval(youtubeMonitoringInterval);
-      youtubeMonitoringInterval = null;
-      return;
-    }
-    
-    getYouTubeSubscriberCount()
-      .then(handleSubscriberUpdate)
-      .catch((error) => {
-        console.error(`❌ Error fetching YouTube subscriber count: ${error.message}`);
-      });
-  }, 20000); // 20 seconds = 20000 milliseconds
 };
 
-// Function to check and start/restart YouTube monitoring when subscribers connect
-const checkAndStartYouTubeMonitoring = () => {
-  if (hasBroadcastSubscribers() && !youtubeMonitoringInterval) {
-    // First active subscriber just connected, start monitoring
-    console.log('📺 Broadcast subscriber connected, starting YouTube monitoring...');
-    startYouTubeSubscriberMonitoring();
+const findClientById = (id) => {
+  const clientId = parseInt(id);
+  const entry = Array.from(connectionInfo.entries()).find(([, info]) => info.id === clientId);
+  return entry ? entry[0] : null;
+};
+
+// Kick, mute, unmute or unsubscribe one client (shared by the HTTP and WebSocket admin interfaces)
+// actor is the admin key id, recorded in the audit log
+// Returns { success: true, message, client } or { success: false, status, error, message }
+const ADMIN_CLIENT_ACTIONS = ['kick', 'mute', 'unmute', 'unsubscribe'];
+const performClientAction = (clientId, action, reason, actor) => {
+  if (!ADMIN_CLIENT_ACTIONS.includes(action)) {
+    return { success: false, status: 400, error: 'Invalid action', message: `action must be one of: ${ADMIN_CLIENT_ACTIONS.join(', ')}` };
+  }
+  const ws = findClientById(clientId);
+  if (!ws) {
+    return { success: false, status: 404, error: 'Not found', message: `Client ${clientId} is not connected` };
+  }
+  const subscriberData = broadcastSubscribers.get(ws);
+  if (action !== 'kick' && !subscriberData) {
+    return { success: false, status: 409, error: 'Conflict', message: `Client ${clientId} is not subscribed to broadcasts` };
+  }
+
+  const client = describeClient(ws);
+  const adminReason = reason || 'By an admin';
+  let message;
+  switch (action) {
+    case 'kick':
+      // A kicked client cannot resume its subscription
+      removeBroadcastSubscriber(ws);
+      closeConnection(ws, WS_CLOSE_CODES.KICKED, `Kicked: ${adminReason}`.substring(0, 120));
+      message = `Client ${clientId} kicked`;
+      break;
+    case 'mute':
+    case 'unmute':
+      subscriberData.muted = action === 'mute';
+      ws.send(JSON.stringify({
+        type: action === 'mute' ? WS_MESSAGE_TYPES.MUTED : WS_MESSAGE_TYPES.UNMUTED,
+        message: action === 'mute'
+          ? `Broadcasts paused for your devices: ${adminReason}`
+          : 'Broadcasts resumed for your devices',
+        timestamp: new Date().toISOString()
+      }));
+      client.subscription.muted = subscriberData.muted;
+      message = `Client ${clientId} ${action}d`;
+      break;
+    case 'unsubscribe':
+      removeBroadcastSubscriber(ws);
+      ws.send(JSON.stringify({
+        type: WS_MESSAGE_TYPES.UNSUBSCRIBED,
+        message: `Unsubscribed from broadcasts: ${adminReason}`,
+        timestamp: new Date().toISOString()
+      }));
+      client.subscribed = false;
+      message = `Client ${clientId} unsubscribed`;
+      break;
+  }
+
+  logger.info(`🛡️  ${message} by api key ${actor}${reason ? ` (${reason})` : ''}`);
+  auditLog.record({
+    action: `client_${action}`,
+    source: 'api',
+    keyId: actor,
+    parameters: { clientId: client.id, address: client.address, subscriberKeyId: subscriberData ? subscriberData.keyId : null, reason },
+    outcome: { success: true, message }
+  });
+  return { success: true, message, client };
+};
+
+// Commands on the admin WebSocket channel (after admin_auth)
+// { type: 'admin_command', action: 'list_clients' | 'list_subscribers' | 'kick' | 'mute' | 'unmute' | 'unsubscribe', clientId, reason }
+const handleAdminCommand = (ws, data) => {
+  // Empty once the connection is being closed, which counts as not authenticated
+  const info = connectionInfo.get(ws) || {};
+  const reply = (payload) => {
+    ws.send(JSON.stringify({
+      type: WS_MESSAGE_TYPES.ADMIN_RESULT,
+      action: data.action,
+      ...payload,
+      timestamp: new Date().toISOString()
+    }));
+  };
+
+  // The key may have been revoked since the channel was opened
+  const adminKey = info.adminKeyId ? apiKeyStore.get(info.adminKeyId) : null;
+  if (!adminKey || ApiKeyStore.describe(adminKey).status !== 'active') {
+    info.adminKeyId = null;
+    return reply({ success: false, error: 'Unauthorized', message: 'Send admin_auth with an admin API key first' });
+  }
+
+  if (data.action === 'list_clients') {
+    return reply({ success: true, clients: Array.from(connectedClients).filter(client => connectionInfo.has(client)).map(describeClient) });
+  }
+  if (data.action === 'list_subscribers') {
+    return reply({ success: true, subscribers: Array.from(broadcastSubscribers.keys()).filter(client => connectionInfo.has(client)).map(describeClient) });
+  }
+  const { status, ...result } = performClientAction(data.clientId, data.action, data.reason, info.adminKeyId);
+  reply(result);
+};
+
+// Restore a subscription from a resume token (resume_subscription message)
+// Broadcasts sent while the subscriber was away are reported as skipped, never replayed
+const resumeSubscription = (ws, clientAddress, resumeToken) => {
+  const sendError = (code, message) => {
+    ws.send(JSON.stringify({
+      type: WS_MESSAGE_TYPES.ERROR,
+      code,
+      message,
+      timestamp: new Date().toISOString()
+    }));
+  };
+
+  const resumed = subscriberSessions.take(resumeToken);
+  if (!resumed.valid) {
+    logger.info(`🚫 Client ${clientAddress} resume rejected: unknown or expired token`);
+    return sendError('RESUME_INVALID', 'Resume token is unknown or expired. Subscribe again.');
+  }
+
+  // The key may have been revoked or expired while the subscriber was away
+  const keyRecord = apiKeyStore.get(resumed.session.keyId);
+  const keyStatus = keyRecord ? ApiKeyStore.describe(keyRecord).status : 'revoked';
+  if (keyStatus !== 'active') {
+    const keyError = SUBSCRIBER_KEY_ERRORS[keyStatus];
+    return sendError(keyError.code, keyError.message);
+  }
+
+  // A session still attached to another connection (e.g. one that has not timed out yet) moves here
+  let subscription = resumed.subscription;
+  let previousWs = null;
+  if (!subscription) {
+    const [attachedWs, previousData] = Array.from(broadcastSubscribers.entries())
+      .find(([, subscriberData]) => subscriberData.sessionId === resumed.session.id) || [];
+    if (!attachedWs) {
+      return sendError('RESUME_INVALID', 'Resume token is unknown or expired. Subscribe again.');
+    }
+    const { sessionId, resumeToken: previousToken, ...previousSubscription } = previousData;
+    subscription = previousSubscription;
+    previousWs = attachedWs;
+  }
+
+  // Checked before the previous connection is taken over, so a failed resume leaves it subscribed
+  if (!deviceDrivers.has(subscription.driver)) {
+    return sendError('DRIVER_UNAVAILABLE', `Device driver "${subscription.driver}" is no longer enabled. Subscribe again.`);
+  }
+
+  if (previousWs) {
+    removeBroadcastSubscriber(previousWs);
+    if (previousWs !== ws && previousWs.readyState === WebSocket.OPEN) {
+      closeConnection(previousWs, WS_CLOSE_CODES.SESSION_RESUMED_ELSEWHERE, 'Session resumed elsewhere');
+    }
+  }
+
+  // Replace anything this connection was subscribed to before
+  const currentSubscription = broadcastSubscribers.get(ws);
+  if (currentSubscription) {
+    subscriberSessions.end(currentSubscription.sessionId);
   }
+  const { token, session } = subscriberSessions.create(subscription.keyId);
+  broadcastSubscribers.set(ws, { ...subscription, sessionId: session.id, resumeToken: token });
+
+  const disconnectedFor = resumed.disconnectedAt ? Date.now() - resumed.disconnectedAt : 0;
+  logger.info(`📡 Client ${clientAddress} (key ${subscription.keyId}) resumed its subscription after ${disconnectedFor}ms, ${resumed.missed.length} broadcast(s) missed (${broadcastSubscribers.size} total)`);
+  outboundWebhooks.emit('subscriber_joined', describeSubscriberEvent(subscription, { resumed: true, missed: resumed.missed.length }));
+  checkAndStartYouTubeMonitoring();
+
+  ws.send(JSON.stringify({
+    type: WS_MESSAGE_TYPES.RESUMED,
+    message: 'Subscription resumed',
+    keyId: subscription.keyId,
+    channels: subscription.channels,
+    shockers: subscription.shockers,
+    driver: subscription.driver,
+    limits: subscription.limits,
+    resumeToken: token,
+    resumeGraceMs: subscriberSessions.graceMs,
+    disconnectedFor,
+    missed: resumed.missed.map(broadcast => ({
+      ...broadcast,
+      skipped: true,
+      reason: 'Subscriber was disconnected'
+    })),
+    missedDropped: resumed.missedDropped,
+    timestamp: new Date().toISOString()
+  }));
 };
 
+// HTTP and HTTPS servers, created by startServers
+let httpServer = null;
+let httpsServer = null;
+
 // Initialize Let's Encrypt
 let sslOptions = null;
-const domain = process.env.DOMAIN || 'localhost';
+// Where the certificate in use came from: 'letsencrypt' or 'self-signed' (the fallback)
+let certificateSource = null;
+const domain = config.server.domain;
+
+// Certificate in use: { source, expiresAt, daysLeft }, or null before setupSSL has run
+const getCertificateInfo = () => {
+  if (!sslOptions) {
+    return null;
+  }
+  const expiresAt = new Date(new crypto.X509Certificate(sslOptions.cert).validTo);
+  return {
+    source: certificateSource,
+    expiresAt: expiresAt.toISOString(),
+    daysLeft: Math.round((expiresAt.getTime() - Date.now()) / 864000) / 100
+  };
+};
 
 // Function to setup SSL certificates
 const setupSSL = async () => {
   try {
-    console.log('🔒 Setting up Let\'s Encrypt SSL certificates...');
+    logger.info('🔒 Setting up Let\'s Encrypt SSL certificates...');
     
     // Initialize ACME client
     await initializeACME();
@@ -1040,17 +3888,20 @@ const setupSSL = async () => {
     const hasCert = await hasValidCertificate(domain);
     
     if (!hasCert) {
-      console.log(`📜 Requesting new certificate for ${domain}...`);
+      logger.info(`📜 Requesting new certificate for ${domain}...`);
       await requestCertificate(domain);
+      outboundWebhooks.emit('cert_renewed', { domain });
     }
     
     // Get SSL options
     sslOptions = await getSSLOptions(domain);
-    console.log('✅ SSL certificates ready');
+    certificateSource = 'letsencrypt';
+    logger.info('✅ SSL certificates ready');
     
   } catch (error) {
-    console.error('❌ Failed to setup SSL certificates:', error.message);
-    console.log('🔄 Falling back to self-signed certificates...');
+    logger.error('❌ Failed to setup SSL certificates:', error.message);
+    outboundWebhooks.emit('cert_renewal_failed', { domain, error: error.message });
+    logger.info('🔄 Falling back to self-signed certificates...');
     
     // Fallback to self-signed certificates
     try {
@@ -1058,8 +3909,9 @@ const setupSSL = async () => {
         key: fs.readFileSync(path.join(__dirname, 'certs', 'private-key.pem')),
         cert: fs.readFileSync(path.join(__dirname, 'certs', 'certificate.pem'))
       };
+      certificateSource = 'self-signed';
     } catch (fallbackError) {
-      console.error('❌ No SSL certificates available. Please run: npm run generate-cert');
+      logger.error('❌ No SSL certificates available. Please run: npm run generate-cert');
       process.exit(1);
     }
   }
@@ -1067,18 +3919,79 @@ const setupSSL = async () => {
 
 // Start servers
 const startServers = async () => {
+  logger.info(`💾 Storage: ${storage.dir}`);
+  
+  // Continue the audit log where it left off (before anything else can record entries)
+  const auditEntries = await auditLog.load();
+  logger.info(`📜 Audit log: ${auditEntries} entr${auditEntries === 1 ? 'y' : 'ies'} in ${storage.locate('audit', '.log')}`);
+  
   // Load API keys
   loadApiKeys();
   
+  // Load stored patterns
+  try {
+    const patternCount = patternLibrary.load();
+    logger.info(`🎵 Loaded ${patternCount} pattern(s)`);
+  } catch (error) {
+    logger.error('Error loading patterns:', error.message);
+  }
+  
+  // Load automation rules (migrating the YOUTUBE_BROADCAST_* settings on first run)
+  try {
+    const { loaded, seeded } = ruleEngine.load(getLegacyYouTubeRules());
+    logger.info(`📜 Loaded ${loaded} rule(s)${seeded > 0 ? ` (${seeded} migrated from YOUTUBE_BROADCAST_* settings)` : ''}`);
+    ruleEngine.startSchedule();
+  } catch (error) {
+    logger.error('Error loading rules:', error.message);
+  }
+  
+  // Load inbound webhook endpoints
+  try {
+    const webhookCount = webhookEndpoints.load();
+    logger.info(`📨 Loaded ${webhookCount} webhook endpoint(s)`);
+  } catch (error) {
+    logger.error('Error loading webhook endpoints:', error.message);
+  }
+  try {
+    const outboundCount = outboundWebhooks.load();
+    logger.info(`📤 Loaded ${outboundCount} outbound webhook(s), ${outboundWebhooks.deadLetters.length} dead letter(s)`);
+  } catch (error) {
+    logger.error('Error loading outbound webhooks:', error.message);
+  }
+  
+  // Check OpenShock reachability in the background for /health and /ready
+  startOpenShockProbe();
+  
+  // Configure YouTube monitoring (it starts when the first broadcast subscriber connects)
+  try {
+    const youtubeChannels = loadYouTubeChannels();
+    if (config.youtube.apiKey && youtubeChannels.length > 0) {
+      youtubeMonitor = new YouTubeMonitor({
+        apiKey: config.youtube.apiKey,
+        baseUrl: config.youtube.apiBaseUrl,
+        dailyQuota: config.youtube.dailyQuota,
+        maxBackoffMs: config.youtube.maxBackoffMs,
+        channels: youtubeChannels,
+        onCount: handleSubscriberUpdate,
+        storage
+      });
+      logger.info(`📺 Monitoring ${youtubeChannels.length} YouTube channel(s) within a daily quota of ${youtubeMonitor.dailyQuota} unit(s)`);
+    }
+  } catch (error) {
+    logger.error('Error loading YouTube channels:', error.message);
+  }
+  
   // Start HTTP server first (needed for Let's Encrypt challenges)
-  const httpServer = http.createServer(app);
+  // Assigned to the module-level handles right away so /health sees the listener while SSL is set up
+  httpServer = http.createServer(app);
   httpServer.listen(HTTP_PORT, () => {
-    console.log(`🌐 HTTP server running on port ${HTTP_PORT}`);
-    console.log(`   Health check: http://${domain}:${HTTP_PORT}/health`);
-    console.log(`   Shocker status: http://${domain}:${HTTP_PORT}/shocker/status`);
-    console.log(`   Broadcast: http://${domain}:${HTTP_PORT}/broadcast`);
-    console.log(`   Admin keys: http://${domain}:${HTTP_PORT}/admin/keys`);
-    console.log(`   WebSocket: ws://${domain}:${HTTP_PORT}/ws`);
+    logger.info(`🌐 HTTP server running on port ${HTTP_PORT}`);
+    logger.info(`   Health check: http://${domain}:${HTTP_PORT}/health (readiness: /ready)`);
+    logger.info(`   Shocker status: http://${domain}:${HTTP_PORT}/shocker/status`);
+    logger.info(`   Broadcast: http://${domain}:${HTTP_PORT}/broadcast`);
+    logger.info(`   Admin keys: http://${domain}:${HTTP_PORT}/admin/keys`);
+    logger.info(`   Metrics: http://${domain}:${HTTP_PORT}/metrics${config.metrics.token ? '' : ' (open to everyone, set METRICS_TOKEN to protect it)'}`);
+    logger.info(`   WebSocket: ws://${domain}:${HTTP_PORT}/ws`);
   });
 
   // Create WebSocket server for HTTP
@@ -1091,88 +4004,179 @@ const startServers = async () => {
   await setupSSL();
   
   // Start HTTPS server
-  const httpsServer = https.createServer(sslOptions, app);
+  httpsServer = https.createServer(sslOptions, app);
   httpsServer.listen(HTTPS_PORT, () => {
-    console.log(`🔒 HTTPS server running on port ${HTTPS_PORT}`);
-    console.log(`   Health check: https://${domain}:${HTTPS_PORT}/health`);
-    console.log(`   Shocker status: https://${domain}:${HTTPS_PORT}/shocker/status`);
-    console.log(`   Broadcast: https://${domain}:${HTTPS_PORT}/broadcast`);
-    console.log(`   Admin keys: https://${domain}:${HTTPS_PORT}/admin/keys`);
-    console.log(`   WebSocket: wss://${domain}:${HTTPS_PORT}/ws`);
+    logger.info(`🔒 HTTPS server running on port ${HTTPS_PORT}`);
+    logger.info(`   Health check: https://${domain}:${HTTPS_PORT}/health`);
+    logger.info(`   Shocker status: https://${domain}:${HTTPS_PORT}/shocker/status`);
+    logger.info(`   Broadcast: https://${domain}:${HTTPS_PORT}/broadcast`);
+    logger.info(`   Admin keys: https://${domain}:${HTTPS_PORT}/admin/keys`);
+    logger.info(`   WebSocket: wss://${domain}:${HTTPS_PORT}/ws`);
   });
 
   // Create WebSocket server for HTTPS
   wssHttps = createWebSocketServer(httpsServer, HTTPS_PORT);
-  
-  return { httpServer, httpsServer };
 };
 
 // Start the servers
-startServers().then(servers => {
-  httpServer = servers.httpServer;
-  httpsServer = servers.httpsServer;
-  
+startServers().then(() => {
   // YouTube monitoring will start automatically when first broadcast subscriber connects
-  console.log('📺 YouTube monitoring will start when first broadcast subscriber connects');
+  logger.info('📺 YouTube monitoring will start when first broadcast subscriber connects');
 }).catch(error => {
-  console.error('❌ Failed to start servers:', error.message);
+  logger.error('❌ Failed to start servers:', error.message);
   process.exit(1);
 });
 
+// Push reloaded settings into the running components
+// changed lists the setting paths that differ from the previous config
+const applyConfig = (changed) => {
+  const sectionChanged = (section) => changed.some(settingPath => settingPath.startsWith(`${section}.`));
+  Object.assign(broadcastRateLimiter, config.rateLimits);
+  broadcastQueue.maxDepth = config.queue.maxDepth;
+  broadcastQueue.coalesceWindowMs = config.queue.coalesceWindowMs;
+  subscriberSessions.graceMs = config.subscribers.resumeGraceMs;
+  logger.configure(config.logging);
+  outboundWebhooks.maxAttempts = config.outboundWebhooks.maxAttempts;
+  outboundWebhooks.baseDelayMs = config.outboundWebhooks.retryBaseMs;
+  outboundWebhooks.maxDelayMs = config.outboundWebhooks.retryMaxMs;
+  outboundWebhooks.timeoutMs = config.outboundWebhooks.timeoutMs;
+  if (youtubeMonitor) {
+    youtubeMonitor.baseUrl = config.youtube.apiBaseUrl;
+    youtubeMonitor.dailyQuota = config.youtube.dailyQuota;
+    youtubeMonitor.maxBackoffMs = config.youtube.maxBackoffMs;
+  }
+  if (sectionChanged('twitch')) {
+    twitchEventSub = createTwitchEventSub();
+  }
+  // Existing subscriptions keep the driver settings they were validated with
+  // Only drivers whose settings changed are replaced; the simulator keeps its command history
+  const changedDrivers = [
+    ...(sectionChanged('openshock') ? ['openshock'] : []),
+    ...(changed.includes('drivers.httpAllowedHosts') ? ['http'] : [])
+  ].filter(name => config.drivers.enabled.includes(name));
+  if (changedDrivers.length > 0) {
+    buildDeviceDrivers(changedDrivers).forEach((driver, name) => deviceDrivers.set(name, driver));
+  }
+  if (changed.includes('openshock.apiUrl') || changed.includes('health.openshockProbeIntervalSeconds')) {
+    startOpenShockProbe();
+  }
+  // CORS origins and WebSocket heartbeat and rate settings are read where they are used
+};
+
+// Re-read config.json (environment variables still override it) and apply what can change at runtime
+// An invalid file leaves the running settings untouched
+const reloadConfig = (source) => {
+  const loaded = loadConfig({ filePath: CONFIG_FILE });
+  if (!loaded.valid) {
+    logger.error(`❌ Config reload failed, keeping the current settings:`);
+    loaded.errors.forEach(error => logger.error(`   - ${error}`));
+    auditLog.record({
+      action: 'config_reloaded',
+      source,
+      outcome: { success: false, error: 'Invalid configuration', message: loaded.errors.join('; ') }
+    });
+    return { success: false, errors: loaded.errors };
+  }
+
+  const { config: merged, changed, restartRequired } = mergeReload(config, loaded.config);
+  config = merged;
+  applyConfig(changed);
+  logger.info(`🔧 Config reloaded from ${CONFIG_FILE}: ${changed.length > 0 ? changed.join(', ') : 'no changes'}`);
+  restartRequired.forEach(settingPath => {
+    logger.warn(`⚠️  ${settingPath} changed but only applies after a restart`);
+  });
+  auditLog.record({
+    action: 'config_reloaded',
+    source,
+    parameters: { changed, restartRequired },
+    outcome: { success: true }
+  });
+  return { success: true, changed, restartRequired };
+};
+
+process.on('SIGHUP', () => {
+  reloadConfig('signal');
+});
+
 // Graceful shutdown
-let httpServer, httpsServer;
 
 process.on('SIGTERM', () => {
-  console.log('🛑 Shutting down servers...');
+  logger.info('🛑 Shutting down servers...');
+  
+  // Write pending API key usage times
+  try {
+    apiKeyStore.flush();
+  } catch (error) {
+    logger.error('Error saving API keys:', error.message);
+  }
+  // Write pending webhook receive times
+  try {
+    webhookEndpoints.flush();
+  } catch (error) {
+    logger.error('Error saving webhooks:', error.message);
+  }
   
   // Close WebSocket connections
   if (wssHttp) {
     wssHttp.close(() => {
-      console.log('✅ HTTP WebSocket server closed');
+      logger.info('✅ HTTP WebSocket server closed');
     });
   }
   if (wssHttps) {
     wssHttps.close(() => {
-      console.log('✅ HTTPS WebSocket server closed');
+      logger.info('✅ HTTPS WebSocket server closed');
     });
   }
   
   if (httpServer) {
     httpServer.close(() => {
-      console.log('✅ HTTP server closed');
+      logger.info('✅ HTTP server closed');
     });
   }
   if (httpsServer) {
     httpsServer.close(() => {
-      console.log('✅ HTTPS server closed');
+      logger.info('✅ HTTPS server closed');
       process.exit(0);
     });
   }
 });
 
 process.on('SIGINT', () => {
-  console.log('🛑 Shutting down servers...');
+  logger.info('🛑 Shutting down servers...');
+  
+  // Write pending API key usage times
+  try {
+    apiKeyStore.flush();
+  } catch (error) {
+    logger.error('Error saving API keys:', error.message);
+  }
+  // Write pending webhook receive times
+  try {
+    webhookEndpoints.flush();
+  } catch (error) {
+    logger.error('Error saving webhooks:', error.message);
+  }
   
   // Close WebSocket connections
   if (wssHttp) {
     wssHttp.close(() => {
-      console.log('✅ HTTP WebSocket server closed');
+      logger.info('✅ HTTP WebSocket server closed');
     });
   }
   if (wssHttps) {
     wssHttps.close(() => {
-      console.log('✅ HTTPS WebSocket server closed');
+      logger.info('✅ HTTPS WebSocket server closed');
     });
   }
   
   if (httpServer) {
     httpServer.close(() => {
-      console.log('✅ HTTP server closed');
+      logger.info('✅ HTTP server closed');
     });
   }
   if (httpsServer) {
     httpsServer.close(() => {
-      console.log('✅ HTTPS server closed');
+      logger.info('✅ HTTPS server closed');
       process.exit(0);
     });
   }
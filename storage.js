@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Persistent storage for server state
+// A backend keeps named JSON documents (replaced as a whole) and named append-only logs
+// Every backend implements:
+//   read(name)                 - the stored document, or null when it was never written
+//   write(name, data, options) - replace a document atomically ({ secret: true } keeps it private to the server user)
+//   append(name, record)       - add one record to a log
+//   readLog(name)              - async iterable of a log's records, oldest first
+//   locate(name)               - where a document or log lives, for log messages
+// Stores (API keys, rules, patterns, webhooks, counts...) only talk to this interface
+
+// File-backed storage: one pretty-printed JSON file per document, one JSON object per line for logs
+// Documents are written to a temporary file, flushed to disk and renamed over the old one,
+// so a crash leaves either the old or the new version, never a partial file
+class FileStorage {
+  // dir: base directory; files: optional name -> file name overrides (relative to dir, or absolute)
+  constructor({ dir, files = {} }) {
+    this.dir = dir;
+    this.files = files;
+  }
+
+  locate(name, extension = '.json') {
+    return path.resolve(this.dir, this.files[name] || `${name}${extension}`);
+  }
+
+  read(name) {
+    const filePath = this.locate(name);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+  }
+
+  write(name, data, { secret = false } = {}) {
+    const filePath = this.locate(name);
+    const tempPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const fd = fs.openSync(tempPath, 'w', secret ? 0o600 : 0o644);
+    try {
+      if (secret) {
+        // A temporary file left over from a crash keeps its old mode otherwise
+        fs.fchmodSync(fd, 0o600);
+      }
+      fs.writeSync(fd, JSON.stringify(data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  }
+
+  append(name, record) {
+    const filePath = this.locate(name, '.log');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+  }
+
+  // Unreadable lines (e.g. a write cut short by a crash) are skipped
+  async *readLog(name) {
+    const filePath = this.locate(name, '.log');
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, 'utf8'),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+    }
+  }
+}
+
+module.exports = { FileStorage };
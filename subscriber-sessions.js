@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Broadcasts remembered per suspended session (oldest are dropped first)
+const MAX_MISSED_BROADCASTS = 50;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Suspended subscriptions are encrypted with a key derived from the resume token,
+// which only the subscriber holds, so device credentials cannot be read back without it
+const deriveKey = (token, id) => Buffer.from(crypto.hkdfSync('sha256', token, id, 'shocker-server resume', 32));
+
+const encrypt = (token, id, value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(token, id), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+};
+
+const decrypt = (token, id, { iv, tag, data }) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(token, id), iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+};
+
+// Resumable broadcast subscriptions
+// Each subscription gets a session with a one-time resume token. When the connection drops the
+// subscription is suspended (encrypted) for graceMs; resuming with the token restores it.
+class SubscriberSessions {
+  constructor({ graceMs = 120000 } = {}) {
+    this.graceMs = graceMs;
+    this.sessions = new Map(); // Map of id -> { id, hash, keyId, createdAt, suspended }
+  }
+
+  // Start a session for a subscription, returns the resume token (shown to the subscriber only)
+  create(keyId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const hash = hashToken(token);
+    const session = {
+      id: hash.substring(0, 16),
+      hash,
+      keyId,
+      createdAt: new Date().toISOString(),
+      suspended: null
+    };
+    this.sessions.set(session.id, session);
+    return { token, session };
+  }
+
+  // Keep a dropped subscription for graceMs
+  // The subscription can only be decrypted with the resume token, which is never stored;
+  // its channels stay readable so missed broadcasts can be matched
+  suspend(id, token, subscription) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+    const timer = setTimeout(() => {
+      this.sessions.delete(id);
+      logger.info(`⌛ Subscriber session ${id} expired without resuming`);
+    }, this.graceMs);
+    timer.unref();
+    session.suspended = {
+      subscription: encrypt(token, id, subscription),
+      channels: subscription.channels,
+      disconnectedAt: Date.now(),
+      missed: [],
+      missedDropped: 0,
+      timer
+    };
+    return true;
+  }
+
+  // Remember a broadcast for every suspended session in its channel (their devices are not reachable while suspended)
+  recordMissed(broadcast) {
+    this.sessions.forEach(session => {
+      if (!session.suspended || !session.suspended.channels.includes(broadcast.channel)) {
+        return;
+      }
+      session.suspended.missed.push(broadcast);
+      if (session.suspended.missed.length > MAX_MISSED_BROADCASTS) {
+        session.suspended.missed.shift();
+        session.suspended.missedDropped++;
+      }
+    });
+  }
+
+  // Look up a session by resume token and end it (the caller starts a new session)
+  // Returns { valid: false, reason } with reason missing or unknown (unknown also covers expired), or
+  // { valid: true, session, subscription, missed, missedDropped, disconnectedAt } where subscription is
+  // null when the session is still attached to an open connection
+  take(token) {
+    if (!token || typeof token !== 'string') {
+      return { valid: false, reason: 'missing' };
+    }
+    const hash = hashToken(token);
+    const session = this.sessions.get(hash.substring(0, 16));
+    if (!session || !crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(session.hash, 'hex'))) {
+      return { valid: false, reason: 'unknown' };
+    }
+    this.end(session.id);
+
+    if (!session.suspended) {
+      return { valid: true, session, subscription: null, missed: [], missedDropped: 0, disconnectedAt: null };
+    }
+    return {
+      valid: true,
+      session,
+      subscription: decrypt(token, session.id, session.suspended.subscription),
+      missed: session.suspended.missed,
+      missedDropped: session.suspended.missedDropped,
+      disconnectedAt: session.suspended.disconnectedAt
+    };
+  }
+
+  end(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+    if (session.suspended) {
+      clearTimeout(session.suspended.timer);
+    }
+    return this.sessions.delete(id);
+  }
+
+  // End every session of an API key (e.g. after it was revoked), returns the number ended
+  endForKey(keyId) {
+    let ended = 0;
+    Array.from(this.sessions.values()).forEach(session => {
+      if (session.keyId === keyId && this.end(session.id)) {
+        ended++;
+      }
+    });
+    return ended;
+  }
+
+  getStatus() {
+    const sessions = Array.from(this.sessions.values());
+    return {
+      graceMs: this.graceMs,
+      active: sessions.filter(session => !session.suspended).length,
+      suspended: sessions.filter(session => session.suspended).length
+    };
+  }
+}
+
+module.exports = { SubscriberSessions };
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Twitch rejects deliveries older than 10 minutes, so message ids only need remembering that long
+const DEFAULT_MAX_AGE_MS = 10 * 60 * 1000;
+
+const EVENTSUB_HEADERS = {
+  id: 'twitch-eventsub-message-id',
+  timestamp: 'twitch-eventsub-message-timestamp',
+  signature: 'twitch-eventsub-message-signature',
+  type: 'twitch-eventsub-message-type'
+};
+
+// EventSub subscription types mapped to rule events
+// Returns { event, amount, user, reward } for a notification, or null for unsupported types
+const mapNotification = (subscriptionType, event) => {
+  switch (subscriptionType) {
+    case 'channel.follow':
+      return { event: 'follow', amount: 1, user: event.user_name };
+    case 'channel.subscribe':
+      // Gifted subs also arrive as channel.subscription.gift; count them there only
+      return event.is_gift ? null : { event: 'subscription', amount: 1, user: event.user_name, tier: event.tier };
+    case 'channel.subscription.message':
+      return { event: 'subscription', amount: 1, user: event.user_name, tier: event.tier, months: event.cumulative_months };
+    case 'channel.subscription.gift':
+      return { event: 'gift_sub', amount: parseInt(event.total) || 1, user: event.is_anonymous ? null : event.user_name, tier: event.tier };
+    case 'channel.cheer':
+      return { event: 'bits', amount: parseInt(event.bits) || 0, user: event.is_anonymous ? null : event.user_name };
+    case 'channel.channel_points_custom_reward_redemption.add':
+      return { event: 'redemption', amount: 1, user: event.user_name, reward: event.reward ? event.reward.title : null };
+    default:
+      return null;
+  }
+};
+
+// Verifies Twitch EventSub webhook deliveries (HMAC-SHA256 signature, timestamp and message id)
+class EventSubReceiver {
+  constructor({ secret, maxAgeMs = DEFAULT_MAX_AGE_MS }) {
+    this.secret = secret;
+    this.maxAgeMs = maxAgeMs;
+    this.seen = new Map(); // Map of message id -> received at (ms)
+  }
+
+  // Check a delivery's headers and raw body
+  // Returns { valid: true, type, id } or { valid: false, duplicate, message } (duplicates should still get a 2xx)
+  verify(headers, rawBody, now = Date.now()) {
+    const id = headers[EVENTSUB_HEADERS.id];
+    const timestamp = headers[EVENTSUB_HEADERS.timestamp];
+    const signature = headers[EVENTSUB_HEADERS.signature];
+    const type = headers[EVENTSUB_HEADERS.type];
+    if (!id || !timestamp || !signature || !type || !rawBody) {
+      return { valid: false, message: 'Missing EventSub headers or body' };
+    }
+
+    const expected = 'sha256=' + crypto.createHmac('sha256', this.secret)
+      .update(id + timestamp)
+      .update(rawBody)
+      .digest('hex');
+    const presented = Buffer.from(String(signature));
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, Buffer.from(expected))) {
+      return { valid: false, message: 'Invalid signature' };
+    }
+
+    const sentAt = new Date(timestamp).getTime();
+    if (isNaN(sentAt) || Math.abs(now - sentAt) > this.maxAgeMs) {
+      return { valid: false, message: 'Message timestamp is too old' };
+    }
+
+    this.prune(now);
+    if (this.seen.has(id)) {
+      return { valid: false, duplicate: true, message: `Message ${id} was already processed` };
+    }
+    this.seen.set(id, now);
+    return { valid: true, type, id };
+  }
+
+  // Forget message ids older than the replay window
+  prune(now = Date.now()) {
+    this.seen.forEach((receivedAt, id) => {
+      if (now - receivedAt > this.maxAgeMs) {
+        this.seen.delete(id);
+      }
+    });
+  }
+}
+
+module.exports = {
+  EventSubReceiver,
+  mapNotification,
+  EVENTSUB_HEADERS
+};
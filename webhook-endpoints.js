@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const { DEFAULT_CHANNEL, isValidChannel } = require('./channels');
+const { logger } = require('./logger');
+
+const ENDPOINT_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const WEBHOOK_PROVIDERS = ['kofi', 'streamelements', 'streamlabs', 'custom'];
+// token: the shared secret is sent as-is (Ko-fi's verification token, a header or ?token=)
+// hmac: "<timestamp>.<raw body>" is signed with HMAC-SHA256 using the secret
+const WEBHOOK_AUTH_MODES = ['token', 'hmac'];
+const DEFAULT_TOKEN_HEADER = 'x-webhook-token';
+const DEFAULT_SIGNATURE_HEADER = 'x-webhook-signature';
+// Unix time in seconds of the request (Ko-fi's payload timestamp is used when the header is missing)
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+// Requests whose timestamp is further from now than this are refused, so captured requests cannot be replayed later
+const TIMESTAMP_TOLERANCE_MS = 5 * 60 * 1000;
+// Delivery ids remembered to refuse replays inside the tolerance window (oldest dropped first)
+const MAX_SEEN_DELIVERIES = 10000;
+// How long lastReceivedAt updates may sit in memory before being written
+const LAST_RECEIVED_SAVE_DELAY = 30000;
+
+// Read a dotted path such as "data.amount" from an object
+const getPath = (object, dottedPath) => dottedPath.split('.')
+  .reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), object);
+
+// Built-in payload parsers, each returns { amount, name, currency, kind } or null when the payload is not usable
+const PAYLOAD_PARSERS = {
+  // Ko-fi posts form data with a JSON "data" field
+  kofi: (body) => {
+    let data = body.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        return null;
+      }
+    }
+    if (!data || data.amount === undefined) {
+      return null;
+    }
+    return {
+      amount: parseFloat(data.amount),
+      name: data.from_name,
+      currency: data.currency,
+      kind: data.type,
+      token: data.verification_token,
+      id: data.kofi_transaction_id || data.message_id,
+      timestamp: data.timestamp
+    };
+  },
+  // StreamElements-style tip events: { type: "tip", data: { amount, username, currency } }
+  streamelements: (body) => {
+    const data = body.data || body;
+    if (data.amount === undefined) {
+      return null;
+    }
+    return { amount: parseFloat(data.amount), name: data.username || data.displayName, currency: data.currency, kind: body.type || 'tip' };
+  },
+  // Streamlabs-style events: { type: "donation", message: [{ amount, name, currency }] }
+  streamlabs: (body) => {
+    const message = Array.isArray(body.message) ? body.message[0] : body.message || body;
+    if (!message || message.amount === undefined) {
+      return null;
+    }
+    return { amount: parseFloat(message.amount), name: message.name || message.from, currency: message.currency, kind: body.type || 'donation' };
+  },
+  // Any JSON payload, with the amount (and optionally name) read from configurable paths
+  custom: (body, { amountField = 'amount', nameField = 'name' } = {}) => {
+    const amount = getPath(body, amountField);
+    if (amount === undefined || amount === null) {
+      return null;
+    }
+    return { amount: parseFloat(amount), name: getPath(body, nameField), kind: 'custom' };
+  }
+};
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+// Validate and normalize the amount-to-broadcast mapping
+// intensity/duration = base + perUnit * amount, capped at maxIntensity/maxDuration
+const validateMapping = (mapping, { validateIntensity, validateTime }) => {
+  if (!mapping || typeof mapping !== 'object') {
+    return { valid: false, message: 'mapping must be an object' };
+  }
+  const {
+    type = 'vibrate',
+    channel = DEFAULT_CHANNEL,
+    baseIntensity = 10,
+    baseDuration = 300,
+    intensityPerUnit = 0,
+    durationPerUnit = 0,
+    maxIntensity = 100,
+    maxDuration = 30000,
+    minAmount = 0
+  } = mapping;
+  if (!['shock', 'vibrate'].includes(type)) {
+    return { valid: false, message: 'mapping.type must be either "shock" or "vibrate"' };
+  }
+  if (!isValidChannel(channel)) {
+    return { valid: false, message: 'mapping.channel must be 1-32 letters, digits, "-" or "_"' };
+  }
+  // The shared validators accept numeric strings such as "50abc", so whole numbers are required first
+  // Broadcasts need a non-zero intensity, so the base must be at least 1
+  if (![baseIntensity, maxIntensity].every(Number.isInteger) || !validateIntensity(baseIntensity) || !validateIntensity(maxIntensity) ||
+    baseIntensity < 1 || maxIntensity < baseIntensity) {
+    return { valid: false, message: 'mapping.baseIntensity must be a whole number between 1 and 100, and mapping.maxIntensity one between baseIntensity and 100' };
+  }
+  if (![baseDuration, maxDuration].every(Number.isInteger) || !validateTime(baseDuration) || !validateTime(maxDuration)) {
+    return { valid: false, message: 'mapping.baseDuration and mapping.maxDuration must be whole numbers between 300 and 30000 milliseconds' };
+  }
+  if (![intensityPerUnit, durationPerUnit, minAmount].every(isNonNegativeNumber)) {
+    return { valid: false, message: 'mapping.intensityPerUnit, mapping.durationPerUnit and mapping.minAmount must be non-negative numbers' };
+  }
+  return {
+    valid: true,
+    mapping: {
+      type,
+      channel: channel.toLowerCase(),
+      baseIntensity,
+      baseDuration,
+      intensityPerUnit,
+      durationPerUnit,
+      maxIntensity,
+      maxDuration,
+      minAmount
+    }
+  };
+};
+
+// Broadcast parameters for an amount, or null when it is below minAmount
+const mapAmount = (mapping, amount) => {
+  if (!(amount >= mapping.minAmount)) {
+    return null;
+  }
+  return {
+    type: mapping.type,
+    channel: mapping.channel,
+    intensity: Math.round(Math.min(mapping.maxIntensity, Math.max(mapping.baseIntensity, mapping.baseIntensity + mapping.intensityPerUnit * amount))),
+    duration: Math.round(Math.min(mapping.maxDuration, Math.max(mapping.baseDuration, mapping.baseDuration + mapping.durationPerUnit * amount)))
+  };
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Inbound webhook endpoints for donation and alert platforms, persisted in the "webhooks" document
+// Secrets must be kept in plaintext to check HMAC signatures, so the document is stored as secret
+// Records: { name, provider, auth: { mode, header }, secret, mapping, amountField, nameField, enabled, createdAt, lastReceivedAt }
+class WebhookEndpoints {
+  constructor({ storage, validateIntensity, validateTime }) {
+    this.storage = storage;
+    this.validators = { validateIntensity, validateTime };
+    this.endpoints = new Map(); // Map of name -> record
+    this.seenDeliveries = new Map(); // Map of "<endpoint>:<delivery id>" -> expiry time in ms
+    this.saveTimer = null;
+  }
+
+  load() {
+    const stored = this.storage.read('webhooks');
+    if (!stored) {
+      return 0;
+    }
+    (stored.endpoints || []).forEach(endpoint => this.endpoints.set(endpoint.name, endpoint));
+    return this.endpoints.size;
+  }
+
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.storage.write('webhooks', { endpoints: Array.from(this.endpoints.values()) }, { secret: true });
+  }
+
+  // Batch lastReceivedAt writes instead of saving on every request
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.save();
+      } catch (error) {
+        logger.error('Error saving webhooks:', error.message);
+      }
+    }, LAST_RECEIVED_SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
+  // Write any batched lastReceivedAt updates now (e.g. on shutdown)
+  flush() {
+    if (this.saveTimer) {
+      this.save();
+    }
+  }
+
+  get(name) {
+    return this.endpoints.get(name) || null;
+  }
+
+  // Create an endpoint; a secret is generated unless one is given (e.g. Ko-fi's verification token)
+  // Returns { valid, message } or { valid, endpoint, secret }
+  create({ name, provider, authMode, header, secret, mapping, amountField, nameField }) {
+    if (typeof name !== 'string' || !ENDPOINT_NAME_REGEX.test(name)) {
+      return { valid: false, message: 'Webhook name must be 1-64 letters, digits, "-" or "_"' };
+    }
+    if (this.endpoints.has(name)) {
+      return { valid: false, conflict: true, message: `Webhook "${name}" already exists` };
+    }
+    if (!WEBHOOK_PROVIDERS.includes(provider)) {
+      return { valid: false, message: `provider must be one of: ${WEBHOOK_PROVIDERS.join(', ')}` };
+    }
+    // Ko-fi can only send its verification token
+    const mode = authMode || (provider === 'kofi' ? 'token' : 'hmac');
+    if (!WEBHOOK_AUTH_MODES.includes(mode) || (provider === 'kofi' && mode !== 'token')) {
+      return { valid: false, message: provider === 'kofi' ? 'Ko-fi webhooks use authMode "token"' : `authMode must be one of: ${WEBHOOK_AUTH_MODES.join(', ')}` };
+    }
+    if (header !== undefined && (typeof header !== 'string' || !/^[a-z0-9-]{1,64}$/i.test(header))) {
+      return { valid: false, message: 'header must be a valid HTTP header name' };
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 256)) {
+      return { valid: false, message: 'secret must be a string of 16-256 characters' };
+    }
+    if ((amountField !== undefined && typeof amountField !== 'string') || (nameField !== undefined && typeof nameField !== 'string')) {
+      return { valid: false, message: 'amountField and nameField must be dotted paths such as "data.amount"' };
+    }
+    const checked = validateMapping(mapping || {}, this.validators);
+    if (!checked.valid) {
+      return checked;
+    }
+
+    const plaintext = secret || crypto.randomBytes(32).toString('hex');
+    const endpoint = {
+      name,
+      provider,
+      auth: {
+        mode,
+        header: (header || (mode === 'token' ? DEFAULT_TOKEN_HEADER : DEFAULT_SIGNATURE_HEADER)).toLowerCase()
+      },
+      secret: plaintext,
+      mapping: checked.mapping,
+      amountField: provider === 'custom' ? (amountField || 'amount') : undefined,
+      nameField: provider === 'custom' ? (nameField || 'name') : undefined,
+      enabled: true,
+      createdAt: new Date().toISOString(),
+      lastReceivedAt: null
+    };
+    this.endpoints.set(name, endpoint);
+    this.save();
+    return { valid: true, endpoint, secret: plaintext };
+  }
+
+  delete(name) {
+    const existed = this.endpoints.delete(name);
+    if (existed) {
+      this.save();
+    }
+    return existed;
+  }
+
+  // Check a request against an endpoint's secret, its timestamp and the deliveries already seen
+  // req needs headers, query, rawBody and the parsed payload (Ko-fi carries its token, id and timestamp in the payload)
+  // Returns { valid } or { valid, status, error, message }
+  verify(endpoint, { headers, query, rawBody }, payload) {
+    const headerTimestamp = String(headers[TIMESTAMP_HEADER] || '');
+    const timestampMs = /^\d{1,12}$/.test(headerTimestamp)
+      ? parseInt(headerTimestamp) * 1000
+      : Date.parse((payload && payload.timestamp) || '');
+
+    let deliveryId;
+    if (endpoint.auth.mode === 'hmac') {
+      const presented = String(headers[endpoint.auth.header] || '').replace(/^sha256=/, '');
+      const expected = crypto.createHmac('sha256', endpoint.secret).update(`${headerTimestamp}.${rawBody || ''}`).digest('hex');
+      if (!headerTimestamp || presented.length === 0 || !safeEqual(presented, expected)) {
+        return { valid: false, status: 401, error: 'Unauthorized', message: 'Invalid signature' };
+      }
+      deliveryId = expected;
+    } else {
+      const presented = (payload && payload.token) || headers[endpoint.auth.header] || (query && query.token);
+      if (!presented || !safeEqual(presented, endpoint.secret)) {
+        return { valid: false, status: 401, error: 'Unauthorized', message: 'Invalid token' };
+      }
+      deliveryId = (payload && payload.id) || crypto.createHash('sha256').update(`${timestampMs}.${rawBody || ''}`).digest('hex');
+    }
+
+    if (!isFinite(timestampMs) || Math.abs(Date.now() - timestampMs) > TIMESTAMP_TOLERANCE_MS) {
+      return { valid: false, status: 401, error: 'Unauthorized', message: `Missing or expired timestamp (allowed skew is ${TIMESTAMP_TOLERANCE_MS / 1000} seconds)` };
+    }
+    if (!this.rememberDelivery(`${endpoint.name}:${deliveryId}`)) {
+      return { valid: false, status: 409, error: 'Duplicate delivery', message: 'This request was already received' };
+    }
+    return { valid: true };
+  }
+
+  // Record a delivery id, returns false when it was already seen within the tolerance window
+  rememberDelivery(key) {
+    const now = Date.now();
+    if (this.seenDeliveries.has(key) && this.seenDeliveries.get(key) > now) {
+      return false;
+    }
+    this.seenDeliveries.delete(key);
+    // Timestamps may be ahead of or behind now by the tolerance, so ids are kept for twice as long
+    this.seenDeliveries.set(key, now + 2 * TIMESTAMP_TOLERANCE_MS);
+    for (const [seenKey, expiresAt] of this.seenDeliveries) {
+      if (expiresAt > now && this.seenDeliveries.size <= MAX_SEEN_DELIVERIES) {
+        break;
+      }
+      this.seenDeliveries.delete(seenKey);
+    }
+    return true;
+  }
+
+  // Parse a request body with the endpoint's provider parser
+  static parse(endpoint, body) {
+    const parsed = PAYLOAD_PARSERS[endpoint.provider](body || {}, endpoint);
+    if (!parsed || !isFinite(parsed.amount) || parsed.amount < 0) {
+      return null;
+    }
+    return parsed;
+  }
+
+  // Public view of an endpoint (the secret is only shown at creation)
+  static describe(endpoint) {
+    const { secret, ...rest } = endpoint;
+    return { ...rest, secretPreview: `${secret.substring(0, 4)}...` };
+  }
+
+  list() {
+    return Array.from(this.endpoints.values()).map(endpoint => WebhookEndpoints.describe(endpoint));
+  }
+
+  // Remember when an endpoint last received a verified request
+  markReceived(endpoint) {
+    endpoint.lastReceivedAt = new Date().toISOString();
+    this.scheduleSave();
+  }
+}
+
+module.exports = {
+  WebhookEndpoints,
+  WEBHOOK_PROVIDERS,
+  mapAmount
+};
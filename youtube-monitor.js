@@ -0,0 +1,301 @@
+const https = require('https');
+const http = require('http');
+const { logger } = require('./logger');
+
+const DEFAULT_API_BASE_URL = 'https://www.googleapis.com/youtube/v3';
+// channels.list costs one quota unit per call
+const POLL_COST = 1;
+const MONITOR_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+const MIN_INTERVAL_SECONDS = 10;
+
+// YouTube quotas reset at midnight Pacific Time
+const getQuotaDay = (date = new Date()) => date.toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+
+// Validate monitored channel definitions: [{ name, channelId, intervalSeconds }]
+// Returns { valid: true, channels } or { valid: false, message }
+const parseMonitorChannels = (definitions) => {
+  if (!Array.isArray(definitions)) {
+    return { valid: false, message: 'channels must be an array' };
+  }
+  const names = new Set();
+  const channels = [];
+  for (let i = 0; i < definitions.length; i++) {
+    const { name, channelId, intervalSeconds = 60 } = definitions[i] || {};
+    const label = `Channel ${i + 1}`;
+    if (typeof name !== 'string' || !MONITOR_NAME_REGEX.test(name)) {
+      return { valid: false, message: `${label}: name must be 1-32 letters, digits, "-" or "_"` };
+    }
+    if (names.has(name.toLowerCase())) {
+      return { valid: false, message: `${label}: duplicate name "${name}"` };
+    }
+    if (typeof channelId !== 'string' || channelId.length === 0) {
+      return { valid: false, message: `${label}: channelId is required` };
+    }
+    if (!Number.isInteger(intervalSeconds) || intervalSeconds < MIN_INTERVAL_SECONDS) {
+      return { valid: false, message: `${label}: intervalSeconds must be an integer of at least ${MIN_INTERVAL_SECONDS}` };
+    }
+    names.add(name.toLowerCase());
+    channels.push({ name: name.toLowerCase(), channelId, intervalSeconds });
+  }
+  return { valid: true, channels };
+};
+
+// Fetch subscriber statistics for one channel
+// Resolves with { subscriberCount, channelName, viewCount, videoCount }; quota errors reject with error.quotaExceeded
+const fetchChannelStatistics = (baseUrl, apiKey, channelId) => {
+  return new Promise((resolve, reject) => {
+    const url = `${baseUrl.replace(/\/+$/, '')}/channels?part=statistics,snippet&id=${encodeURIComponent(channelId)}&key=${encodeURIComponent(apiKey)}`;
+    const client = url.startsWith('http://') ? http : https;
+
+    const request = client.get(url, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        try {
+          const response = JSON.parse(data);
+
+          if (response.error) {
+            const error = new Error(`YouTube API Error: ${response.error.message || 'Unknown error'}`);
+            const reasons = (response.error.errors || []).map(item => item.reason);
+            error.quotaExceeded = reasons.includes('quotaExceeded') || reasons.includes('dailyLimitExceeded');
+            reject(error);
+            return;
+          }
+
+          if (!response.items || response.items.length === 0) {
+            reject(new Error('Channel not found'));
+            return;
+          }
+
+          const channel = response.items[0];
+          resolve({
+            subscriberCount: parseInt(channel.statistics.subscriberCount),
+            channelName: channel.snippet.title,
+            viewCount: parseInt(channel.statistics.viewCount),
+            videoCount: parseInt(channel.statistics.videoCount)
+          });
+        } catch (error) {
+          reject(new Error(`Failed to parse YouTube API response: ${error.message}`));
+        }
+      });
+    });
+    request.setTimeout(10000, () => {
+      request.destroy(new Error('Request timed out'));
+    });
+    request.on('error', (error) => {
+      reject(new Error(`Failed to fetch YouTube data: ${error.message}`));
+    });
+  });
+};
+
+// Polls the subscriber counts of several YouTube channels
+// Polling intervals are stretched so the combined polls fit the daily quota, and failing channels back off
+// onCount(channel, { previous, count, peak, channelName }) is called after every successful poll
+// With a storage backend, last-known counts are kept in its "youtube-counts" document, so the first poll
+// after a restart compares against them instead of starting a new baseline (gains during downtime still count)
+class YouTubeMonitor {
+  constructor({ apiKey, baseUrl = DEFAULT_API_BASE_URL, dailyQuota = 10000, maxBackoffMs = 3600000, channels = [], onCount, storage = null }) {
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.dailyQuota = dailyQuota;
+    this.maxBackoffMs = maxBackoffMs;
+    this.onCount = onCount;
+    this.storage = storage;
+    this.running = false;
+    this.quota = { day: getQuotaDay(), used: 0, exhausted: false };
+    // Map of name -> channel state
+    this.channels = new Map(channels.map(channel => [channel.name, {
+      ...channel,
+      channelName: null,
+      lastCount: null,
+      peakCount: null,
+      lastPolledAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      consecutiveErrors: 0,
+      polls: { succeeded: 0, failed: 0 },
+      nextPollAt: null,
+      timer: null
+    }]));
+    this.loadCounts();
+  }
+
+  // Restore last-known counts for channels whose channel id has not changed
+  loadCounts() {
+    const stored = this.storage ? this.storage.read('youtube-counts') : null;
+    if (!stored) {
+      return;
+    }
+    Object.entries(stored.channels || {}).forEach(([name, saved]) => {
+      const channel = this.channels.get(name);
+      if (channel && channel.channelId === saved.channelId) {
+        channel.channelName = saved.channelName;
+        channel.lastCount = saved.lastCount;
+        channel.peakCount = saved.peakCount;
+        channel.lastPolledAt = saved.lastPolledAt;
+      }
+    });
+  }
+
+  saveCounts() {
+    if (!this.storage) {
+      return;
+    }
+    const channels = {};
+    this.channels.forEach(channel => {
+      if (channel.lastCount !== null) {
+        channels[channel.name] = {
+          channelId: channel.channelId,
+          channelName: channel.channelName,
+          lastCount: channel.lastCount,
+          peakCount: channel.peakCount,
+          lastPolledAt: channel.lastPolledAt
+        };
+      }
+    });
+    try {
+      this.storage.write('youtube-counts', { channels });
+    } catch (error) {
+      logger.error(`❌ Could not save YouTube subscriber counts: ${error.message}`);
+    }
+  }
+
+  // Scale every interval up by the same factor when the combined polls would exceed the daily quota
+  getQuotaFactor() {
+    const pollsPerDay = Array.from(this.channels.values())
+      .reduce((sum, channel) => sum + 86400 / channel.intervalSeconds, 0);
+    return Math.max(1, (pollsPerDay * POLL_COST) / this.dailyQuota);
+  }
+
+  getEffectiveInterval(channel) {
+    return Math.ceil(channel.intervalSeconds * this.getQuotaFactor()) * 1000;
+  }
+
+  // Track quota use per Pacific day
+  useQuota() {
+    const day = getQuotaDay();
+    if (day !== this.quota.day) {
+      this.quota = { day, used: 0, exhausted: false };
+    }
+    if (this.quota.exhausted || this.quota.used + POLL_COST > this.dailyQuota) {
+      this.quota.exhausted = true;
+      return false;
+    }
+    this.quota.used += POLL_COST;
+    return true;
+  }
+
+  // Start polling every channel (the first poll runs right away)
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.channels.forEach(channel => this.schedule(channel, 0));
+  }
+
+  stop() {
+    this.running = false;
+    this.channels.forEach(channel => {
+      clearTimeout(channel.timer);
+      channel.timer = null;
+      channel.nextPollAt = null;
+    });
+  }
+
+  schedule(channel, delayMs) {
+    clearTimeout(channel.timer);
+    channel.nextPollAt = Date.now() + delayMs;
+    channel.timer = setTimeout(() => this.poll(channel), delayMs);
+    channel.timer.unref();
+  }
+
+  // Poll one channel and schedule its next poll
+  async poll(channel) {
+    channel.timer = null;
+    if (!this.running) {
+      return;
+    }
+
+    if (!this.useQuota()) {
+      // Nothing left today; try again once the quota has reset
+      channel.lastError = 'Daily YouTube API quota used up';
+      channel.lastErrorAt = new Date().toISOString();
+      this.schedule(channel, Math.min(this.maxBackoffMs, this.getEffectiveInterval(channel) * 10));
+      return;
+    }
+
+    let delayMs = this.getEffectiveInterval(channel);
+    try {
+      const data = await fetchChannelStatistics(this.baseUrl, this.apiKey, channel.channelId);
+      const previous = channel.lastCount;
+      const peak = channel.peakCount;
+      channel.channelName = data.channelName;
+      channel.lastCount = data.subscriberCount;
+      channel.peakCount = peak === null ? data.subscriberCount : Math.max(peak, data.subscriberCount);
+      channel.lastPolledAt = new Date().toISOString();
+      channel.consecutiveErrors = 0;
+      channel.lastError = null;
+      channel.polls.succeeded++;
+      if (previous !== data.subscriberCount || peak !== channel.peakCount) {
+        this.saveCounts();
+      }
+      if (this.onCount) {
+        this.onCount(channel, { previous, count: data.subscriberCount, peak, channelName: data.channelName });
+      }
+    } catch (error) {
+      channel.consecutiveErrors++;
+      channel.polls.failed++;
+      channel.lastError = error.message;
+      channel.lastErrorAt = new Date().toISOString();
+      if (error.quotaExceeded) {
+        this.quota.exhausted = true;
+      }
+      // Exponential backoff: double the wait for every consecutive failure
+      delayMs = Math.min(this.maxBackoffMs, delayMs * Math.pow(2, channel.consecutiveErrors));
+      logger.error(`❌ YouTube channel "${channel.name}" poll failed (${channel.consecutiveErrors} in a row, retrying in ${Math.round(delayMs / 1000)}s): ${error.message}`);
+    }
+    if (this.running) {
+      this.schedule(channel, delayMs);
+    }
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      baseUrl: this.baseUrl,
+      quota: {
+        day: this.quota.day,
+        dailyLimit: this.dailyQuota,
+        used: this.quota.used,
+        exhausted: this.quota.exhausted,
+        intervalFactor: Math.round(this.getQuotaFactor() * 100) / 100
+      },
+      channels: Array.from(this.channels.values()).map(channel => ({
+        name: channel.name,
+        channelId: channel.channelId,
+        channelName: channel.channelName,
+        intervalSeconds: channel.intervalSeconds,
+        effectiveIntervalSeconds: this.getEffectiveInterval(channel) / 1000,
+        lastCount: channel.lastCount,
+        peakCount: channel.peakCount,
+        lastPolledAt: channel.lastPolledAt,
+        lastError: channel.lastError,
+        lastErrorAt: channel.lastErrorAt,
+        consecutiveErrors: channel.consecutiveErrors,
+        polls: { ...channel.polls },
+        nextPollAt: channel.nextPollAt ? new Date(channel.nextPollAt).toISOString() : null
+      }))
+    };
+  }
+}
+
+module.exports = {
+  YouTubeMonitor,
+  parseMonitorChannels,
+  fetchChannelStatistics
+};